@@ -10,6 +10,10 @@ const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { JSDOM } = require('jsdom');
 const session = require('express-session');
 const crypto = require('crypto');
+const multer = require('multer');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
 
 // Load environment variables
 dotenv.config();
@@ -37,6 +41,15 @@ app.use(session({
 // Serve static files after session middleware
 app.use(express.static('public'));
 
+// Where notes come from: 'graph' (OneNote via Microsoft Graph) or 'local'
+// (a directory of notebooks, see createLocalNoteSource)
+const NOTE_SOURCE = (process.env.NOTE_SOURCE || 'graph').toLowerCase();
+const LOCAL_NOTES_DIR = process.env.LOCAL_NOTES_DIR || path.join(__dirname, 'fixtures', 'notebooks');
+
+if (!['graph', 'local'].includes(NOTE_SOURCE)) {
+  throw new Error(`Unknown NOTE_SOURCE "${NOTE_SOURCE}" - use "graph" or "local"`);
+}
+
 // Microsoft Graph API authentication - OAuth configuration
 const msalConfig = {
   auth: {
@@ -46,22 +59,30 @@ const msalConfig = {
   }
 };
 
-const msalClient = new ConfidentialClientApplication(msalConfig);
+// Not needed (and not configured) when reading local notes
+const msalClient = NOTE_SOURCE === 'graph' ? new ConfidentialClientApplication(msalConfig) : null;
 const msGraphScopes = ['offline_access', 'Notes.Read', 'User.Read']; // Include offline_access for refresh tokens
+// Requested instead when the user opts into writing cards back to OneNote
+const msGraphWritebackScopes = ['offline_access', 'Notes.ReadWrite', 'User.Read'];
+
+function getSessionScopes(req) {
+  return req.session.writebackGranted ? msGraphWritebackScopes : msGraphScopes;
+}
 
 // Redirect URI should match what's registered in Microsoft Entra app registration
 const REDIRECT_URI = process.env.REDIRECT_URI || `http://localhost:${process.env.PORT || 3000}/auth/callback`;
 
-// OpenAI API initialization
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Database setup - use environment variable for data directory if available
 const DB_PATH = process.env.DATA_DIR ? path.join(process.env.DATA_DIR) : path.join(__dirname, 'db');
 const FLASHCARDS_FILE = path.join(DB_PATH, 'flashcards.json');
 const PAGE_CACHE_FILE = path.join(DB_PATH, 'page_cache.json');
 const SYNC_INFO_FILE = path.join(DB_PATH, 'sync_info.json');
+const SUBSCRIPTIONS_FILE = path.join(DB_PATH, 'subscriptions.json');
+const USER_SETTINGS_FILE = path.join(DB_PATH, 'user_settings.json');
+const WEBHOOKS_FILE = path.join(DB_PATH, 'webhooks.json');
+const LLM_CACHE_FILE = path.join(DB_PATH, 'llm_cache.json');
+const USAGE_FILE = path.join(DB_PATH, 'usage.json');
+const NOTES_CACHE_DIR = path.join(DB_PATH, 'notes_cache');
 
 // Ensure DB directory exists
 if (!fs.existsSync(DB_PATH)) {
@@ -70,7 +91,7 @@ if (!fs.existsSync(DB_PATH)) {
 }
 
 // Initialize database files if they don't exist
-[FLASHCARDS_FILE, PAGE_CACHE_FILE, SYNC_INFO_FILE].forEach(file => {
+[FLASHCARDS_FILE, PAGE_CACHE_FILE, SYNC_INFO_FILE, SUBSCRIPTIONS_FILE, USER_SETTINGS_FILE, WEBHOOKS_FILE, LLM_CACHE_FILE, USAGE_FILE].forEach(file => {
   if (!fs.existsSync(file)) {
     fs.writeFileSync(file, JSON.stringify({}));
     console.log(`Initialized ${file}`);
@@ -105,9 +126,128 @@ function saveSyncInfo(info) {
   fs.writeFileSync(SYNC_INFO_FILE, JSON.stringify(info, null, 2));
 }
 
+function loadSubscriptions() {
+  const data = fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+function saveSubscriptions(subscriptions) {
+  fs.writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2));
+}
+
+function loadWebhooks() {
+  const data = fs.readFileSync(WEBHOOKS_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+function saveWebhooks(webhooks) {
+  fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(webhooks, null, 2));
+}
+
+function loadUserSettings() {
+  const data = fs.readFileSync(USER_SETTINGS_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+function saveUserSettings(settings) {
+  fs.writeFileSync(USER_SETTINGS_FILE, JSON.stringify(settings, null, 2));
+}
+
+function loadLLMCache() {
+  const data = fs.readFileSync(LLM_CACHE_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+function saveLLMCache(cache) {
+  fs.writeFileSync(LLM_CACHE_FILE, JSON.stringify(cache, null, 2));
+}
+
+function loadUsage() {
+  const data = fs.readFileSync(USAGE_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+function saveUsage(usage) {
+  fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2));
+}
+
+// The notes cache is a file per user and page - sync writes one page's
+// notes at a time, and the tutor reads them one page at a time
+function getPageNotesFile(userId, pageId) {
+  return path.join(NOTES_CACHE_DIR, hashText(userId).slice(0, 16), `${hashText(pageId).slice(0, 32)}.json`);
+}
+
+function loadPageNotes(userId, pageId) {
+  const file = getPageNotesFile(userId, pageId);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function savePageNotes(userId, pageId, notes) {
+  const file = getPageNotesFile(userId, pageId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(notes));
+}
+
+// Server-side settings (the ones sync needs) for one user, with defaults
+function getUserSettings(userId) {
+  const settings = loadUserSettings()[userId] || {};
+  return {
+    ...settings,
+    // { provider, model } - null uses the server default
+    llm: settings.llm || null,
+    writeback: {
+      enabled: false,
+      mode: 'page', // 'page' (separate flashcards page) or 'append' (outline on the source page)
+      ...(settings.writeback || {})
+    },
+    // Prompt templates: { preset, template, displayName } per scope
+    prompts: {
+      default: null,
+      notebooks: {},
+      sections: {},
+      ...(settings.prompts || {})
+    }
+  };
+}
+
+// Cards are identified by a persistent id, never by their position in the
+// deck - reordering, editing or regenerating must not move review history
+function createCardId() {
+  return crypto.randomUUID();
+}
+
+// Give every card in a user's decks an id. Returns true if any was missing
+function ensureCardIds(userDecks) {
+  let changed = false;
+  Object.values(userDecks || {}).forEach(deck => {
+    (deck && Array.isArray(deck.cards) ? deck.cards : []).forEach(card => {
+      if (!card.id) {
+        card.id = createCardId();
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+// One-off migration of decks saved before cards had ids
+function migrateFlashcardIds() {
+  const allFlashcards = loadFlashcards();
+  const migrated = Object.values(allFlashcards).filter(userDecks => ensureCardIds(userDecks)).length;
+  if (migrated > 0) {
+    saveFlashcards(allFlashcards);
+    console.log(`Assigned card ids for ${migrated} user(s) in ${FLASHCARDS_FILE}`);
+  }
+}
+
+migrateFlashcardIds();
+
 // Authentication middleware to check if user is logged in
 function ensureAuthenticated(req, res, next) {
-  if (req.session.accessToken) {
+  if (req.session.accessToken || !noteSource.requiresSignIn) {
     return next();
   }
   
@@ -117,14 +257,18 @@ function ensureAuthenticated(req, res, next) {
 }
 
 // Function to get a valid access token
-async function getAccessToken(req) {
-  // Check if token exists and is not expired
-  if (!req.session.accessToken) {
+async function getAccessToken(req, forceRefresh = false) {
+  // Check if token exists and is not expired - background syncs (webhooks)
+  // start out with only a refresh token
+  if (!req.session.accessToken && !req.session.refreshToken) {
     throw new Error('No access token available. User needs to authenticate.');
   }
 
-  // If we have a refresh token and the access token is expired, refresh it
-  if (req.session.tokenExpires && new Date() > new Date(req.session.tokenExpires)) {
+  // If we have a refresh token and the access token is expired (or Graph
+  // rejected it), refresh it
+  const isExpired = !req.session.accessToken ||
+    (req.session.tokenExpires && new Date() > new Date(req.session.tokenExpires));
+  if (isExpired || forceRefresh) {
     console.log('Access token expired, attempting to refresh...');
     
     if (!req.session.refreshToken) {
@@ -135,7 +279,7 @@ async function getAccessToken(req) {
     try {
       const refreshTokenRequest = {
         refreshToken: req.session.refreshToken,
-        scopes: msGraphScopes
+        scopes: getSessionScopes(req)
       };
       
       const response = await msalClient.acquireTokenByRefreshToken(refreshTokenRequest);
@@ -155,27 +299,167 @@ async function getAccessToken(req) {
   return req.session.accessToken;
 }
 
+// Graph client settings - retries apply to throttling (429) and
+// temporary unavailability (503) only
+const GRAPH_MAX_RETRIES = parseInt(process.env.GRAPH_MAX_RETRIES || '4', 10);
+const GRAPH_BASE_DELAY_MS = parseInt(process.env.GRAPH_BASE_DELAY_MS || '1000', 10);
+const GRAPH_MAX_DELAY_MS = 60000;
+const GRAPH_CONCURRENCY_PER_USER = parseInt(process.env.GRAPH_CONCURRENCY_PER_USER || '4', 10);
+const GRAPH_RETRYABLE_STATUSES = [429, 503];
+
+// Structured Graph failure, so sync results can tell users *why* a sync failed
+class GraphApiError extends Error {
+  constructor(message, { status = null, code = null, retryAfter = null, url = null } = {}) {
+    super(message);
+    this.name = 'GraphApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.url = url;
+  }
+}
+
+function toGraphApiError(error, url) {
+  if (error instanceof GraphApiError) return error;
+  
+  const status = error.response ? error.response.status : null;
+  const graphError = error.response && error.response.data && error.response.data.error;
+  const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+  
+  let code = graphError && graphError.code ? graphError.code : null;
+  if (!code) {
+    if (status === 429) code = 'throttled';
+    else if (status === 503) code = 'serviceUnavailable';
+    else if (status === 401) code = 'unauthenticated';
+    else if (!status) code = 'networkError';
+  }
+  
+  const message = (graphError && graphError.message) || error.message;
+  return new GraphApiError(message, { status, code, retryAfter, url });
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  
+  return null;
+}
+
+// Exponential backoff with jitter, unless Graph told us how long to wait
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, GRAPH_MAX_DELAY_MS);
+  }
+  const backoff = GRAPH_BASE_DELAY_MS * Math.pow(2, attempt);
+  const jitter = Math.random() * GRAPH_BASE_DELAY_MS;
+  return Math.min(backoff + jitter, GRAPH_MAX_DELAY_MS);
+}
+
+// Per-user concurrency limit so one user's big sync can't flood Graph
+const graphRequestSlots = new Map();
+
+async function withGraphConcurrencyLimit(userKey, task) {
+  if (!graphRequestSlots.has(userKey)) {
+    graphRequestSlots.set(userKey, { active: 0, waiting: [] });
+  }
+  const slots = graphRequestSlots.get(userKey);
+  
+  if (slots.active >= GRAPH_CONCURRENCY_PER_USER) {
+    // The finishing task hands its slot over, so active already counts us
+    await new Promise(resolve => slots.waiting.push(resolve));
+  } else {
+    slots.active++;
+  }
+  
+  try {
+    return await task();
+  } finally {
+    const next = slots.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      slots.active--;
+      if (slots.active === 0) {
+        graphRequestSlots.delete(userKey);
+      }
+    }
+  }
+}
+
 // Microsoft Graph API functions
 async function callGraphAPI(req, url, options = {}) {
-  try {
-    const accessToken = await getAccessToken(req);
+  const userKey = req.session.userId || req.sessionID || 'default-user';
+  const fullUrl = url.startsWith('https://') ? url : `https://graph.microsoft.com/v1.0${url}`;
+  
+  return withGraphConcurrencyLimit(userKey, async () => {
+    let refreshedToken = false;
     
-    const response = await axios({
-      url: url.startsWith('https://') ? url : `https://graph.microsoft.com/v1.0${url}`,
-      method: options.method || 'GET',
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        ...options.headers
-      },
-      data: options.data,
-      params: options.params,
-      responseType: options.responseType || 'json'
-    });
-    return response.data;
-  } catch (error) {
-    console.error(`Error calling Graph API (${url}):`, error.response?.data || error.message);
-    throw error;
-  }
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const accessToken = await getAccessToken(req);
+        
+        const response = await axios({
+          url: fullUrl,
+          method: options.method || 'GET',
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            ...options.headers
+          },
+          data: options.data,
+          params: options.params,
+          responseType: options.responseType || 'json'
+        });
+        return response.data;
+      } catch (error) {
+        // Not an HTTP failure (e.g. no token in the session) - nothing to retry
+        if (!error.response && !error.request) {
+          throw error;
+        }
+        
+        const status = error.response ? error.response.status : null;
+        
+        // Token was revoked or expired early - refresh once and try again
+        if (status === 401 && !refreshedToken && req.session.refreshToken) {
+          console.log(`Graph API returned 401 for ${url}, refreshing token...`);
+          refreshedToken = true;
+          await getAccessToken(req, true);
+          continue;
+        }
+        
+        const graphError = toGraphApiError(error, url);
+        
+        if (GRAPH_RETRYABLE_STATUSES.includes(status) && attempt < GRAPH_MAX_RETRIES) {
+          const delay = getRetryDelay(attempt, graphError.retryAfter);
+          console.log(`Graph API returned ${status} for ${url}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${GRAPH_MAX_RETRIES})`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+        
+        console.error(`Error calling Graph API (${url}):`, error.response?.data || error.message);
+        throw graphError;
+      }
+    }
+  });
+}
+
+// Shape an error for sync results and the sync status UI
+function describeSyncError(error) {
+  return {
+    message: error.message,
+    code: error.code || null,
+    status: error.status || null,
+    retryAfter: error.retryAfter || null
+  };
 }
 
 // Enhanced pagination function to handle large datasets
@@ -201,7 +485,7 @@ async function getAllGraphResults(req, initialUrl, options = {}) {
 
 async function getOneNoteNotebooks(req) {
   try {
-    return await getAllGraphResults(req, '/me/onenote/notebooks');
+    return await noteSource.getNotebooks(req);
   } catch (error) {
     console.error('Error getting notebooks:', error);
     throw error;
@@ -210,280 +494,3814 @@ async function getOneNoteNotebooks(req) {
 
 async function getOneNoteSections(req, notebookId) {
   try {
-    return await getAllGraphResults(req, `/me/onenote/notebooks/${notebookId}/sections`);
+    return await noteSource.getSections(req, notebookId);
   } catch (error) {
     console.error('Error getting sections:', error);
     throw error;
   }
 }
 
-// Enhanced to handle pagination and filtering by last modified date
-async function getOneNotePages(req, sectionId, lastSyncTime = null) {
+async function getOneNoteSectionGroups(req, parentId, parentType = 'notebooks') {
   try {
-    let url = `/me/onenote/sections/${sectionId}/pages`;
-    let params = {
-      // Select only the fields we need to determine if content changed
-      '$select': 'id,title,lastModifiedDateTime',
-      // Get more items per page (max allowed)
-      '$top': 100
-    };
-    
-    // If we have a lastSyncTime, only get pages modified since then
-    if (lastSyncTime) {
-      params['$filter'] = `lastModifiedDateTime ge ${lastSyncTime}`;
-    }
-    
-    return await getAllGraphResults(req, url, { params });
+    return await noteSource.getSectionGroups(req, parentId, parentType);
   } catch (error) {
-    console.error('Error getting pages:', error);
+    console.error('Error getting section groups:', error);
     throw error;
   }
 }
 
-async function getPageContent(req, pageId) {
+async function getSectionGroupSections(req, sectionGroupId) {
   try {
-    return await callGraphAPI(req, `/me/onenote/pages/${pageId}/content`, {
-      responseType: 'text'
-    });
+    return await noteSource.getSectionGroupSections(req, sectionGroupId);
   } catch (error) {
-    console.error('Error getting page content:', error);
+    console.error('Error getting section group sections:', error);
     throw error;
   }
 }
 
-// Enhanced HTML parsing for OneNote content
-function extractTextFromOneNoteHtml(html) {
+async function getOneNoteSectionGroup(req, sectionGroupId) {
   try {
-    const dom = new JSDOM(html);
-    const document = dom.window.document;
-    
-    // Remove OneNote-specific elements that aren't useful for flashcards
-    const elementsToRemove = [
-      'style',
-      'meta',
-      'script',
-      // Add other elements to ignore as needed
-    ];
-    
-    elementsToRemove.forEach(tag => {
-      const elements = document.querySelectorAll(tag);
-      elements.forEach(el => el.remove());
-    });
-    
-    // Extract meaningful content - focus on headings and paragraphs
-    const contentElements = document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, ul, ol, li, table, div.content');
-    
-    let extractedText = '';
-    contentElements.forEach(el => {
-      // Get text content, preserve basic structure with newlines
-      const content = el.textContent.trim();
-      if (content) {
-        // Add heading markers for structure
-        if (el.tagName.startsWith('H')) {
-          extractedText += `### ${content}\n\n`;
-        } else if (el.tagName === 'LI') {
-          extractedText += `- ${content}\n`;
-        } else {
-          extractedText += `${content}\n\n`;
-        }
-      }
-    });
-    
-    return extractedText.trim();
+    return await noteSource.getSectionGroup(req, sectionGroupId);
   } catch (error) {
-    console.error('Error extracting text from HTML:', error);
-    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    console.error('Error getting section group:', error);
+    throw error;
   }
 }
 
-// Enhanced LLM flashcard extraction with improved prompting
-async function extractFlashcardsWithLLM(content, pageTitle) {
-  try {
-    // Extract text content from OneNote HTML
-    const textContent = typeof content === 'string' && content.includes('<html') 
-      ? extractTextFromOneNoteHtml(content)
-      : content;
-    
-    // Calculate token limit (approximate)
-    const estimatedTokens = textContent.split(/\s+/).length;
-    const maxContentTokens = 6000; // Safe limit
-    
-    // Truncate content if too large
-    let processableContent = textContent;
-    if (estimatedTokens > maxContentTokens) {
-      console.log(`Note content too large (est. ${estimatedTokens} tokens), truncating...`);
-      // Truncate by words to stay within limits
-      processableContent = textContent
-        .split(/\s+/)
-        .slice(0, maxContentTokens)
-        .join(' ');
+// Walk section groups recursively - OneNote allows groups nested in groups
+async function getSectionGroupTree(req, sectionGroup) {
+  const [sections, childGroups] = await Promise.all([
+    getSectionGroupSections(req, sectionGroup.id),
+    getOneNoteSectionGroups(req, sectionGroup.id, 'sectionGroups')
+  ]);
+  
+  const sectionGroups = [];
+  for (const childGroup of childGroups) {
+    sectionGroups.push(await getSectionGroupTree(req, childGroup));
+  }
+  
+  return {
+    id: sectionGroup.id,
+    displayName: sectionGroup.displayName,
+    type: 'sectionGroup',
+    sections: sections.map(section => ({ id: section.id, displayName: section.displayName, type: 'section' })),
+    sectionGroups
+  };
+}
+
+// Full notebook hierarchy: top-level sections plus every nested section group
+async function getNotebookTree(req, notebookId) {
+  try {
+    const [sections, sectionGroups] = await Promise.all([
+      getOneNoteSections(req, notebookId),
+      getOneNoteSectionGroups(req, notebookId)
+    ]);
+    
+    const groupTrees = [];
+    for (const sectionGroup of sectionGroups) {
+      groupTrees.push(await getSectionGroupTree(req, sectionGroup));
     }
     
-    // Define prompt for Gemini
-    const prompt = `
-You are a specialized AI that creates high-quality flashcards for medical students.
-Create flashcards from the following medical notes on "${pageTitle}".
+    return {
+      id: notebookId,
+      type: 'notebook',
+      sections: sections.map(section => ({ id: section.id, displayName: section.displayName, type: 'section' })),
+      sectionGroups: groupTrees
+    };
+  } catch (error) {
+    console.error('Error getting notebook tree:', error);
+    throw error;
+  }
+}
 
-Each flashcard should have:
-1. A clear, focused question about a medical concept. Consider the surrounding context.
-2. A concise but complete answer (1-3 sentences)
-3. Be relevant for medical exam preparation
+// Flatten a notebook or section group tree into its sections, keeping the
+// group path so the UI can label nested sections
+function flattenSectionTree(node, groupPath = []) {
+  let sections = (node.sections || []).map(section => ({
+    ...section,
+    path: groupPath
+  }));
+  
+  (node.sectionGroups || []).forEach(group => {
+    sections = sections.concat(flattenSectionTree(group, [...groupPath, group.displayName]));
+  });
+  
+  return sections;
+}
 
-Format your response as JSON:
-[
-  {
-    "question": "What is the pathophysiology of type 2 diabetes?",
-    "answer": "Type 2 diabetes is characterized by insulin resistance in peripheral tissues and relative insulin deficiency. This results in hyperglycemia due to inadequate glucose uptake in muscle and adipose tissue, combined with increased hepatic glucose production."
+// Enhanced to handle pagination and filtering by last modified date
+async function getOneNotePages(req, sectionId, lastSyncTime = null) {
+  try {
+    return await noteSource.getPages(req, sectionId, lastSyncTime);
+  } catch (error) {
+    console.error('Error getting pages:', error);
+    throw error;
   }
-]
+}
 
-Here are the notes:
-${processableContent}
-`;
+// Flatten a page's Graph `links` into the URLs we keep on decks and cards
+function getPageLinks(page) {
+  const links = (page && page.links) || {};
+  return {
+    oneNoteWebUrl: (links.oneNoteWebUrl && links.oneNoteWebUrl.href) || null,
+    oneNoteClientUrl: (links.oneNoteClientUrl && links.oneNoteClientUrl.href) || null
+  };
+}
 
-    // Initialize Gemini model and generate content
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-    const result = await model.generateContent(prompt);
-    const responseContent = result.response.text();
+async function getPageContent(req, pageId) {
+  try {
+    return await noteSource.getPageContent(req, pageId);
+  } catch (error) {
+    console.error('Error getting page content:', error);
+    throw error;
+  }
+}
 
-    let flashcards;
-    try {
-      // Extract JSON if it's wrapped in backticks or markdown
-      const jsonMatch = responseContent.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/) || 
-                        responseContent.match(/(\[[\s\S]*?\])/);
-                        
-      if (jsonMatch && jsonMatch[1]) {
-        flashcards = JSON.parse(jsonMatch[1]);
-      } else {
-        flashcards = JSON.parse(responseContent);
-      }
-      
-      // Validate flashcard format
-      if (!Array.isArray(flashcards)) {
-        throw new Error('Invalid flashcards format');
+// Graph accepts at most 20 requests in one JSON batch
+const GRAPH_BATCH_SIZE = 20;
+
+// Adaptive pacing for batch fetches: back off when Graph throttles
+// sub-requests, speed back up while batches go through cleanly
+function createBatchThrottle() {
+  return {
+    delayMs: 0,
+    throttledRequests: 0,
+    onThrottled(retryAfter) {
+      this.throttledRequests++;
+      const next = retryAfter !== null ? retryAfter : Math.max(this.delayMs * 2, GRAPH_BASE_DELAY_MS);
+      this.delayMs = Math.min(Math.max(this.delayMs, next), GRAPH_MAX_DELAY_MS);
+    },
+    onSuccess() {
+      this.delayMs = this.delayMs < 250 ? 0 : Math.floor(this.delayMs / 2);
+    },
+    async wait() {
+      if (this.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
       }
-      
-      return flashcards;
-    } catch (e) {
-      console.error('Error parsing LLM response:', e);
-      return []; // Return empty array on parse error
     }
-  } catch (error) {
-    console.error('Error extracting flashcards with LLM:', error);
-    return [];
+  };
+}
+
+// Decode one $batch sub-response body - Graph base64-encodes non-JSON bodies
+function decodeBatchBody(response) {
+  const contentType = (response.headers && (response.headers['Content-Type'] || response.headers['content-type'])) || '';
+  
+  if (typeof response.body === 'string' && !contentType.includes('json')) {
+    return Buffer.from(response.body, 'base64').toString('utf8');
   }
+  return response.body;
 }
 
-// Optimized sync logic for large note collections
-async function syncOneNotePage(req, pageId, pageTitle) {
-  try {
-    // Get current page content
-    const content = await getPageContent(req, pageId);
+// Fetch content for up to 20 pages with one Graph $batch request. Throttled
+// sub-requests are retried; resolves to a Map of pageId -> { content } or { error }
+async function getPageContentsBatch(req, pageIds, throttle = createBatchThrottle()) {
+  const results = new Map();
+  let pending = pageIds.slice(0, GRAPH_BATCH_SIZE);
+  
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    await throttle.wait();
     
-    // Check if page has changed
-    const pageCache = loadPageCache();
-    let hasChanged = true;
+    const batchResponse = await callGraphAPI(req, '/$batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      data: {
+        requests: pending.map(pageId => ({
+          id: pageId,
+          method: 'GET',
+          url: `/me/onenote/pages/${pageId}/content?includeIDs=true`
+        }))
+      }
+    });
     
-    if (pageCache[pageId]) {
-      // Use a hash or timestamp comparison for efficiency
-      const currentModified = new Date(pageCache[pageId].lastModified || 0);
-      const newModified = new Date(Date.now());
-      hasChanged = currentModified < newModified;
-    }
+    const retry = [];
+    let throttled = false;
     
-    if (hasChanged) {
-      console.log(`Processing page "${pageTitle}" (ID: ${pageId})`);
-      
-      // Extract flashcards with LLM
-      console.log(`Generating flashcards for "${pageTitle}"...`);
-      const flashcards = await extractFlashcardsWithLLM(content, pageTitle);
-      console.log(`Generated ${flashcards.length} flashcards for "${pageTitle}"`);
-      
-      // Store flashcards - organize by user ID if available
-      const userId = req.session.userId || 'default-user';
-      const allFlashcards = loadFlashcards();
-      
-      // Initialize user's flashcards if not exists
-      if (!allFlashcards[userId]) {
-        allFlashcards[userId] = {};
+    (batchResponse.responses || []).forEach(response => {
+      if (response.status >= 200 && response.status < 300) {
+        results.set(response.id, { content: decodeBatchBody(response) });
+      } else if (GRAPH_RETRYABLE_STATUSES.includes(response.status) && attempt < GRAPH_MAX_RETRIES) {
+        const retryAfter = parseRetryAfter(response.headers && (response.headers['Retry-After'] || response.headers['retry-after']));
+        throttle.onThrottled(retryAfter);
+        throttled = true;
+        retry.push(response.id);
+      } else {
+        const body = decodeBatchBody(response);
+        const graphError = body && body.error;
+        results.set(response.id, {
+          error: new GraphApiError(graphError && graphError.message ? graphError.message : `Request failed with status ${response.status}`, {
+            status: response.status,
+            code: graphError && graphError.code ? graphError.code : null,
+            url: `/me/onenote/pages/${response.id}/content?includeIDs=true`
+          })
+        });
       }
-      
-      allFlashcards[userId][pageId] = {
-        pageTitle,
-        lastUpdated: new Date().toISOString(),
-        cards: flashcards
-      };
-      saveFlashcards(allFlashcards);
-      
-      // Update page cache - store minimal info
-      pageCache[pageId] = {
-        lastModified: new Date().toISOString(),
-        lastSync: new Date().toISOString()
-      };
-      savePageCache(pageCache);
-      
-      return flashcards.length;
+    });
+    
+    if (!throttled) {
+      throttle.onSuccess();
     } else {
-      console.log(`Page "${pageTitle}" has not changed.`);
-      return 0;
+      console.log(`Graph throttled ${retry.length} of ${pending.length} batched requests, retrying in ${throttle.delayMs}ms`);
     }
-  } catch (error) {
-    console.error(`Error syncing page ${pageId}:`, error);
-    return 0;
+    
+    pending = retry;
   }
+  
+  return results;
 }
 
-async function syncOneNoteSection(req, sectionId, forceFull = false) {
-  try {
-    console.log(`Syncing section ${sectionId}...`);
-    
-    // Get last sync time for incremental sync
-    const syncInfo = loadSyncInfo();
-    let lastSyncTime = null;
-    
-    if (!forceFull && syncInfo[sectionId] && syncInfo[sectionId].lastSyncTime) {
-      lastSyncTime = new Date(syncInfo[sectionId].lastSyncTime).toISOString();
-      console.log(`Last sync time for section ${sectionId}: ${lastSyncTime}`);
-    }
-    
-    // Get pages modified since last sync or all pages if no previous sync
-    const pages = await getOneNotePages(req, sectionId, lastSyncTime);
-    console.log(`Found ${pages.length} pages to process in section ${sectionId}`);
-    
-    // Save current time for future syncs
-    syncInfo[sectionId] = {
-      lastSyncTime: new Date().toISOString(),
-      pages: pages.length
+// ------ NOTE SOURCES ------
+
+// Sync reads notes through a source provider: Microsoft Graph, or a local
+// directory of notebooks for offline development and demos (NOTE_SOURCE=local).
+// Every provider returns Graph-shaped objects (id, displayName / title,
+// lastModifiedDateTime, links) so the sync code doesn't care which one it has
+const graphNoteSource = {
+  name: 'graph',
+  requiresSignIn: true,
+  supportsWriteback: true,
+  
+  getNotebooks(req) {
+    return getAllGraphResults(req, '/me/onenote/notebooks');
+  },
+  
+  getSections(req, notebookId) {
+    return getAllGraphResults(req, `/me/onenote/notebooks/${notebookId}/sections`);
+  },
+  
+  getSectionGroups(req, parentId, parentType = 'notebooks') {
+    return getAllGraphResults(req, `/me/onenote/${parentType}/${parentId}/sectionGroups`);
+  },
+  
+  getSectionGroup(req, sectionGroupId) {
+    return callGraphAPI(req, `/me/onenote/sectionGroups/${sectionGroupId}`);
+  },
+  
+  getSectionGroupSections(req, sectionGroupId) {
+    return getAllGraphResults(req, `/me/onenote/sectionGroups/${sectionGroupId}/sections`);
+  },
+  
+  getSection(req, sectionId) {
+    return callGraphAPI(req, `/me/onenote/sections/${sectionId}`, {
+      params: {
+        '$select': 'id,displayName',
+        '$expand': 'parentNotebook($select=id,displayName)'
+      }
+    });
+  },
+  
+  getPages(req, sectionId, lastSyncTime = null) {
+    const params = {
+      // Select only the fields we need to determine if content changed
+      '$select': 'id,title,lastModifiedDateTime,links',
+      // Get more items per page (max allowed)
+      '$top': 100
     };
-    saveSyncInfo(syncInfo);
     
-    // Process found pages
-    let totalUpdated = 0;
-    // Process in batches to avoid rate limits
-    const BATCH_SIZE = 5;
+    // If we have a lastSyncTime, only get pages modified since then
+    if (lastSyncTime) {
+      params['$filter'] = `lastModifiedDateTime ge ${lastSyncTime}`;
+    }
     
-    for (let i = 0; i < pages.length; i += BATCH_SIZE) {
-      const batch = pages.slice(i, i + BATCH_SIZE);
-      console.log(`Processing batch ${i/BATCH_SIZE + 1} of ${Math.ceil(pages.length/BATCH_SIZE)}`);
-      
-      // Process each page in the batch sequentially
-      for (const page of batch) {
-        const cardsUpdated = await syncOneNotePage(req, page.id, page.title);
-        totalUpdated += cardsUpdated;
-      }
-      
-      // Add a small delay between batches to reduce API load
-      if (i + BATCH_SIZE < pages.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    return getAllGraphResults(req, `/me/onenote/sections/${sectionId}/pages`, { params });
+  },
+  
+  getPageContent(req, pageId) {
+    return callGraphAPI(req, `/me/onenote/pages/${pageId}/content`, {
+      params: { includeIDs: true },
+      responseType: 'text'
+    });
+  },
+  
+  getPageContents(req, pageIds, throttle) {
+    return getPageContentsBatch(req, pageIds, throttle);
+  },
+  
+  async getPageLocation(req, pageId) {
+    try {
+      return await callGraphAPI(req, `/me/onenote/pages/${pageId}`, {
+        params: {
+          '$select': 'id,title',
+          '$expand': 'parentSection($select=id,displayName)'
+        }
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
       }
+      throw error;
     }
-    
-    return totalUpdated;
-  } catch (error) {
+  }
+};
+
+const LOCAL_PAGE_EXTENSIONS = ['.html', '.htm'];
+
+// Local notebooks mirror OneNote's hierarchy on disk:
+//
+//   <LOCAL_NOTES_DIR>/<Notebook>/<Section>/<Page>.html
+//   <LOCAL_NOTES_DIR>/<Notebook>/<Section group>/<Section>/<Page>.html
+//
+// A directory holding page files (or nothing) is a section; one holding only
+// directories is a section group. IDs are the base64url-encoded path relative
+// to the root, so they're stable across restarts and safe in URLs. Moving a
+// file changes its ID, so a moved page looks like a delete plus a new page
+function createLocalNoteSource(rootDir) {
+  const root = path.resolve(rootDir);
+  
+  const toId = relativePath => Buffer.from(relativePath.split(path.sep).join('/')).toString('base64url');
+  
+  function resolveId(id) {
+    const relativePath = Buffer.from(String(id), 'base64url').toString('utf8');
+    const fullPath = path.resolve(root, relativePath);
+    if (!relativePath || (fullPath !== root && !fullPath.startsWith(root + path.sep))) {
+      throw localNotFound(`Invalid local note ID: ${id}`);
+    }
+    return fullPath;
+  }
+  
+  function localNotFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    error.code = 'itemNotFound';
+    return error;
+  }
+  
+  async function readDirectory(fullPath) {
+    try {
+      return await fs.promises.readdir(fullPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        throw localNotFound(`Not found: ${path.relative(root, fullPath) || rootDir}`);
+      }
+      throw error;
+    }
+  }
+  
+  const isPageFile = entry => entry.isFile() && LOCAL_PAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase());
+  
+  async function isSectionDirectory(fullPath) {
+    const entries = await readDirectory(fullPath);
+    return entries.some(isPageFile) || !entries.some(entry => entry.isDirectory());
+  }
+  
+  // Child directories of a notebook or section group, split by kind
+  async function getChildren(fullPath, wantSections) {
+    const entries = await readDirectory(fullPath);
+    const children = [];
+    
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const childPath = path.join(fullPath, entry.name);
+      if ((await isSectionDirectory(childPath)) === wantSections) {
+        children.push({ id: toId(path.relative(root, childPath)), displayName: entry.name });
+      }
+    }
+    
+    return children.sort((a, b) => a.displayName.localeCompare(b.displayName));
+  }
+  
+  async function readPage(fullPath) {
+    try {
+      const html = await fs.promises.readFile(fullPath, 'utf8');
+      return html.includes('<html') ? html : `<html><body>${html}</body></html>`;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw localNotFound(`Page not found: ${path.relative(root, fullPath)}`);
+      }
+      throw error;
+    }
+  }
+  
+  // Use the page's <title> when it has one, like OneNote does
+  function getPageTitle(html, fileName) {
+    const match = /<title>([\s\S]*?)<\/title>/i.exec(html);
+    const title = match ? match[1].replace(/\s+/g, ' ').trim() : '';
+    return title || path.basename(fileName, path.extname(fileName));
+  }
+  
+  return {
+    name: 'local',
+    requiresSignIn: false,
+    supportsWriteback: false,
+    
+    async getNotebooks() {
+      const entries = await readDirectory(root);
+      return entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => ({ id: toId(entry.name), displayName: entry.name }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    },
+    
+    getSections(req, notebookId) {
+      return getChildren(resolveId(notebookId), true);
+    },
+    
+    getSectionGroups(req, parentId) {
+      return getChildren(resolveId(parentId), false);
+    },
+    
+    async getSectionGroup(req, sectionGroupId) {
+      const fullPath = resolveId(sectionGroupId);
+      await readDirectory(fullPath);
+      return { id: sectionGroupId, displayName: path.basename(fullPath) };
+    },
+    
+    getSectionGroupSections(req, sectionGroupId) {
+      return getChildren(resolveId(sectionGroupId), true);
+    },
+    
+    // The notebook is the first directory of the section's path
+    async getSection(req, sectionId) {
+      const fullPath = resolveId(sectionId);
+      await readDirectory(fullPath);
+      const notebookName = path.relative(root, fullPath).split(path.sep)[0];
+      return {
+        id: sectionId,
+        displayName: path.basename(fullPath),
+        parentNotebook: { id: toId(notebookName), displayName: notebookName }
+      };
+    },
+    
+    async getPages(req, sectionId, lastSyncTime = null) {
+      const sectionPath = resolveId(sectionId);
+      const entries = await readDirectory(sectionPath);
+      const since = lastSyncTime ? new Date(lastSyncTime) : null;
+      const pages = [];
+      
+      for (const entry of entries.filter(isPageFile)) {
+        const fullPath = path.join(sectionPath, entry.name);
+        const stats = await fs.promises.stat(fullPath);
+        if (since && stats.mtime < since) continue;
+        
+        pages.push({
+          id: toId(path.relative(root, fullPath)),
+          title: getPageTitle(await readPage(fullPath), entry.name),
+          lastModifiedDateTime: stats.mtime.toISOString(),
+          links: null
+        });
+      }
+      
+      return pages;
+    },
+    
+    getPageContent(req, pageId) {
+      return readPage(resolveId(pageId));
+    },
+    
+    async getPageContents(req, pageIds) {
+      const results = new Map();
+      for (const pageId of pageIds) {
+        try {
+          results.set(pageId, { content: await readPage(resolveId(pageId)) });
+        } catch (error) {
+          results.set(pageId, { error });
+        }
+      }
+      return results;
+    },
+    
+    async getPageLocation(req, pageId) {
+      let fullPath;
+      try {
+        fullPath = resolveId(pageId);
+        const html = await readPage(fullPath);
+        const sectionPath = path.dirname(fullPath);
+        return {
+          id: pageId,
+          title: getPageTitle(html, path.basename(fullPath)),
+          parentSection: { id: toId(path.relative(root, sectionPath)), displayName: path.basename(sectionPath) }
+        };
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+const noteSource = NOTE_SOURCE === 'local' ? createLocalNoteSource(LOCAL_NOTES_DIR) : graphNoteSource;
+if (noteSource.name === 'local') {
+  console.log(`Reading notes from local directory ${path.resolve(LOCAL_NOTES_DIR)}`);
+}
+
+// ------ ONENOTE HTML TO MARKDOWN ------
+
+const BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TABLE', 'DIV', 'LI', 'BLOCKQUOTE', 'PRE'];
+
+// Display names for OneNote's built-in note tags (data-tag values)
+const ONENOTE_TAG_LABELS = {
+  'to-do': 'To Do',
+  'important': 'Important',
+  'question': 'Question',
+  'definition': 'Definition',
+  'highlight': 'Highlight',
+  'remember-for-later': 'Remember for later',
+  'idea': 'Idea',
+  'critical': 'Critical'
+};
+
+// Read OneNote note tags from an element and its inline spans. data-tag
+// holds a comma separated list such as "important,to-do:completed"
+function getOneNoteTags(el) {
+  if (!el || !el.getAttribute) return [];
+  
+  const values = [el.getAttribute('data-tag')];
+  Array.from(el.children || [])
+    .filter(child => child.tagName === 'SPAN')
+    .forEach(span => values.push(span.getAttribute('data-tag')));
+  
+  const tags = [];
+  values.filter(value => value).forEach(value => {
+    value.split(',').forEach(tag => {
+      const name = tag.trim().split(':')[0].toLowerCase();
+      if (name && !tags.includes(name)) tags.push(name);
+    });
+  });
+  return tags;
+}
+
+function getOneNoteTagLabel(tag) {
+  return ONENOTE_TAG_LABELS[tag] || tag.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// Parse a CSS length (OneNote uses pt and px) into an indentation level
+function getIndentLevel(style) {
+  const match = /margin-left:\s*([\d.]+)(pt|px|in)?/i.exec(style || '');
+  if (!match) return 0;
+  
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'px').toLowerCase();
+  const points = unit === 'in' ? value * 72 : unit === 'px' ? value * 0.75 : value;
+  
+  // One OneNote indent step is half an inch
+  return Math.round(points / 36);
+}
+
+// Top/left of an absolutely positioned OneNote outline, or null
+function getOutlinePosition(el) {
+  const style = el.getAttribute('style') || '';
+  if (!/position:\s*absolute/i.test(style)) return null;
+  
+  const top = /top:\s*([\d.]+)/i.exec(style);
+  const left = /left:\s*([\d.]+)/i.exec(style);
+  return {
+    top: top ? parseFloat(top[1]) : 0,
+    left: left ? parseFloat(left[1]) : 0
+  };
+}
+
+// Wrap inline content in Markdown markers, keeping surrounding whitespace outside
+function wrapInline(content, before, after = before) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  if (!match[2]) return content;
+  return `${match[1]}${before}${match[2]}${after}${match[3]}`;
+}
+
+// Convert OneNote page HTML into clean Markdown. Every emitted block keeps
+// the data-id of the element it came from, so cards can point back at the
+// exact paragraph. Returns { markdown, blocks } where each block is
+// { ref, dataId, type, markdown, headingPath }.
+function convertOneNoteHtml(html) {
+  const dom = new JSDOM(html);
+  const document = dom.window.document;
+  const { Node } = dom.window;
+  
+  // Remove OneNote-specific elements that aren't useful for flashcards
+  document.querySelectorAll('style, meta, script, title').forEach(el => el.remove());
+  
+  const blocks = [];
+  const headings = [];
+  const seenDataIds = new Set();
+  let listGroup = 0;
+  
+  function addBlock(type, markdown, el, group = null) {
+    if (!markdown.trim()) return;
+    
+    const dataId = el && el.getAttribute ? el.getAttribute('data-id') : null;
+    if (dataId) {
+      if (seenDataIds.has(dataId)) return;
+      seenDataIds.add(dataId);
+    }
+    
+    // Show note tags inline, after any heading or list marker
+    const tags = getOneNoteTags(el);
+    if (tags.length > 0) {
+      const labels = tags.map(tag => `[${getOneNoteTagLabel(tag)}]`).join(' ');
+      markdown = markdown.replace(/^(\s*(?:#{1,6}|-|\d+\.)\s+)?/, match => `${match}${labels} `);
+    }
+    
+    blocks.push({
+      ref: `b${blocks.length + 1}`,
+      dataId,
+      type,
+      markdown,
+      tags,
+      headingPath: headings.map(heading => heading.text),
+      group
+    });
+  }
+  
+  function isBlockElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName);
+  }
+  
+  function convertInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    
+    const tag = node.tagName;
+    if (tag === 'BR') return '\n';
+    if (tag === 'IMG') {
+      const alt = (node.getAttribute('alt') || '').trim();
+      return alt ? `[image: ${alt}]` : '';
+    }
+    if (tag === 'UL' || tag === 'OL' || tag === 'TABLE') {
+      // Structured content inside inline context (e.g. a table cell)
+      return ` ${node.textContent.replace(/\s+/g, ' ').trim()} `;
+    }
+    
+    let content = Array.from(node.childNodes).map(convertInline).join('');
+    if (isBlockElement(node)) {
+      content = ` ${content} `;
+    }
+    
+    const style = node.getAttribute('style') || '';
+    const isBold = tag === 'B' || tag === 'STRONG' || /font-weight:\s*(bold|[6-9]00)/i.test(style);
+    const isItalic = tag === 'I' || tag === 'EM' || /font-style:\s*italic/i.test(style);
+    const isSub = tag === 'SUB' || /vertical-align:\s*sub/i.test(style);
+    const isSup = tag === 'SUP' || /vertical-align:\s*super/i.test(style);
+    
+    if (isSub) content = wrapInline(content, '<sub>', '</sub>');
+    if (isSup) content = wrapInline(content, '<sup>', '</sup>');
+    if (isItalic) content = wrapInline(content, '*');
+    if (isBold) content = wrapInline(content, '**');
+    
+    if (tag === 'A' && node.getAttribute('href') && content.trim()) {
+      content = wrapInline(content, '[', `](${node.getAttribute('href')})`);
+    }
+    
+    return content;
+  }
+  
+  function inlineText(node) {
+    return convertInline(node)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line)
+      .join('  \n');
+  }
+  
+  function convertList(list, depth, group = ++listGroup) {
+    let itemNumber = 1;
+    
+    Array.from(list.children).forEach(child => {
+      // OneNote sometimes nests a list directly inside another list
+      if (child.tagName === 'UL' || child.tagName === 'OL') {
+        convertList(child, depth + 1, group);
+        return;
+      }
+      if (child.tagName !== 'LI') return;
+      
+      const nestedLists = [];
+      const text = Array.from(child.childNodes)
+        .filter(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && (node.tagName === 'UL' || node.tagName === 'OL')) {
+            nestedLists.push(node);
+            return false;
+          }
+          return true;
+        })
+        .map(node => inlineText(node))
+        .filter(part => part)
+        .join(' ');
+      
+      const marker = list.tagName === 'OL' ? `${itemNumber++}.` : '-';
+      addBlock('listItem', `${'  '.repeat(depth)}${marker} ${text}`, child, group);
+      
+      nestedLists.forEach(nestedList => convertList(nestedList, depth + 1, group));
+    });
+  }
+  
+  function convertTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .filter(row => row.closest('table') === table)
+      .map(row => Array.from(row.children)
+        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(cell => {
+          const paragraphs = Array.from(cell.childNodes)
+            .map(node => inlineText(node))
+            .filter(part => part);
+          return paragraphs.join('<br>').replace(/\|/g, '\\|').replace(/  \n/g, '<br>');
+        }));
+    
+    if (rows.length === 0) return;
+    
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const padRow = row => [...row, ...Array(columnCount - row.length).fill('')];
+    const formatRow = row => `| ${padRow(row).join(' | ')} |`;
+    
+    const lines = [
+      formatRow(rows[0]),
+      `| ${Array(columnCount).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(formatRow)
+    ];
+    addBlock('table', lines.join('\n'), table);
+  }
+  
+  function convertBlock(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      if (text) addBlock('paragraph', text, node.parentNode);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    // Cards we wrote back onto the page are not part of the notes
+    if (node.getAttribute('data-id') === WRITEBACK_OUTLINE_ID) return;
+    
+    const tag = node.tagName;
+    const headingMatch = /^H([1-6])$/.exec(tag);
+    
+    if (headingMatch) {
+      const level = parseInt(headingMatch[1], 10);
+      const text = inlineText(node).replace(/\*\*/g, '');
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      addBlock('heading', `${'#'.repeat(level)} ${text}`, node);
+      headings.push({ level, text });
+    } else if (tag === 'P') {
+      const text = inlineText(node);
+      const indent = getIndentLevel(node.getAttribute('style'));
+      if (indent > 0) {
+        // Indented paragraphs read as an outline; consecutive ones form one list
+        const previous = blocks[blocks.length - 1];
+        const group = previous && previous.indented ? previous.group : ++listGroup;
+        const blockCount = blocks.length;
+        addBlock('listItem', `${'  '.repeat(indent - 1)}- ${text}`, node, group);
+        if (blocks.length > blockCount) blocks[blocks.length - 1].indented = true;
+      } else {
+        addBlock('paragraph', text, node);
+      }
+    } else if (tag === 'UL' || tag === 'OL') {
+      convertList(node, 0);
+    } else if (tag === 'TABLE') {
+      convertTable(node);
+    } else if (Array.from(node.childNodes).some(isBlockElement)) {
+      convertChildren(node);
+    } else {
+      addBlock('paragraph', inlineText(node), node);
+    }
+  }
+  
+  function convertChildren(container) {
+    let children = Array.from(container.childNodes);
+    
+    // OneNote places each outline in an absolutely positioned div - read
+    // them top to bottom, left to right rather than in source order
+    const elements = children.filter(node => node.nodeType === Node.ELEMENT_NODE);
+    const positions = new Map(elements.map(el => [el, getOutlinePosition(el)]));
+    if (elements.length > 1 && elements.every(el => positions.get(el))) {
+      children = elements.slice().sort((a, b) => {
+        const posA = positions.get(a);
+        const posB = positions.get(b);
+        return posA.top - posB.top || posA.left - posB.left;
+      });
+    }
+    
+    children.forEach(convertBlock);
+  }
+  
+  convertChildren(document.body);
+  
+  return {
+    markdown: joinMarkdownBlocks(blocks),
+    blocks: blocks.map(({ ref, dataId, type, markdown: blockMarkdown, tags, headingPath, group }) => ({
+      ref, dataId, type, markdown: blockMarkdown, tags, headingPath, group
+    }))
+  };
+}
+
+// Consecutive list items stay on adjacent lines; everything else is a paragraph.
+// With `withRefs`, every block ends in a ^bN marker the LLM can cite back
+function joinMarkdownBlocks(blocks, withRefs = false) {
+  let markdown = '';
+  blocks.forEach((block, index) => {
+    if (index > 0) {
+      const previous = blocks[index - 1];
+      const sameList = block.type === 'listItem' && previous.type === 'listItem' && block.group === previous.group;
+      markdown += sameList ? '\n' : '\n\n';
+    }
+    if (!withRefs) {
+      markdown += block.markdown;
+    } else {
+      // Multi-line blocks (tables) get the marker on its own line
+      markdown += `${block.markdown}${block.markdown.includes('\n') ? '\n' : ' '}^${block.ref}`;
+    }
+  });
+  return markdown;
+}
+
+// Enhanced HTML parsing for OneNote content
+function extractTextFromOneNoteHtml(html) {
+  try {
+    return convertOneNoteHtml(html).markdown;
+  } catch (error) {
+    console.error('Error extracting text from HTML:', error);
+    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Tell the LLM how to treat paragraphs the user tagged in OneNote
+function buildNoteTagInstructions(taggedBlocks) {
+  if (taggedBlocks.length === 0) return '';
+  
+  const taggedLines = taggedBlocks
+    .map(block => {
+      // Drop the list/heading marker and the inline tag labels
+      const text = block.markdown
+        .replace(/^\s*(?:#{1,6}|-|\d+\.)\s+/, '')
+        .replace(/^(?:\[[^\]]+\]\s*)+/, '');
+      return `- (${block.tags.join(', ')}) ${text}`;
+    })
+    .join('\n');
+  
+  return `
+The author tagged some notes in OneNote. Treat these tags as instructions:
+- "question": the tagged line is a question the author wants to be asked. Create a card with that question and answer it from the notes.
+- "important": make sure this content is covered by at least one card.
+- "definition": create a card asking for the definition of the term.
+- "to-do": only create a card if the line contains learnable content.
+For every card that comes from a tagged line, list the tag names in "noteTags" (for example ["question", "important"]). Use an empty list otherwise.
+
+Tagged notes:
+${taggedLines}
+`;
+}
+
+// Fold the OneNote tags the LLM reported into card tags and priority
+function applyNoteTags(flashcards) {
+  return flashcards.map(card => {
+    const noteTags = Array.isArray(card.noteTags)
+      ? card.noteTags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag)
+      : [];
+    const rest = { ...card };
+    delete rest.noteTags;
+    
+    if (noteTags.length === 0) return rest;
+    
+    const tags = Array.isArray(rest.tags) ? rest.tags.slice() : [];
+    noteTags.forEach(tag => {
+      if (!tags.includes(tag)) tags.push(tag);
+    });
+    
+    return {
+      ...rest,
+      tags,
+      ...(noteTags.includes('important') ? { priority: 'high' } : {})
+    };
+  });
+}
+
+// Resolve the ^bN reference the LLM cited into the paragraph's OneNote data-id
+function applySourceRefs(flashcards, blocks) {
+  const blocksByRef = new Map(blocks.map(block => [block.ref, block]));
+  
+  return flashcards.map(card => {
+    const rest = { ...card };
+    delete rest.sourceRef;
+    
+    const ref = String(card.sourceRef || '').replace(/^\^/, '').trim();
+    const block = blocksByRef.get(ref);
+    if (!block) return rest;
+    
+    return {
+      ...rest,
+      source: { ...(rest.source || {}), ref: block.ref, dataId: block.dataId || null }
+    };
+  });
+}
+
+// ------ LLM PROVIDERS ------
+
+// Every provider takes a request { task, prompt, model, input, schema } and
+// resolves to { text, usage } - usage is { promptTokens, responseTokens } as
+// reported by the API, or estimated when it doesn't say. `task` and `input` carry the structured
+// request (e.g. the notes for 'flashcards') for providers that don't read
+// prompts. `schema` is a JSON schema the answer should follow; providers
+// with a structured output mode enforce it, the rest rely on the prompt.
+// Providers that can stream also have stream(request, onText): it calls
+// onText with each piece of the answer as it arrives and resolves like
+// generate (see streamLLM for the ones that can't). `request.signal` (an
+// AbortSignal) stops a stream early
+const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-2.0-flash',
+  isConfigured: () => !!process.env.GOOGLE_API_KEY,
+  
+  async generate(request) {
+    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    const model = genAI.getGenerativeModel({
+      model: request.model,
+      ...(request.schema ? {
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(request.schema)
+        }
+      } : {})
+    });
+    const result = await model.generateContent(request.prompt);
+    const text = result.response.text();
+    const usage = result.response.usageMetadata;
+    return {
+      text,
+      usage: usage
+        ? { promptTokens: usage.promptTokenCount || 0, responseTokens: usage.candidatesTokenCount || 0 }
+        : estimateUsage(request.prompt, text)
+    };
+  },
+  
+  async stream(request, onText) {
+    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    const model = genAI.getGenerativeModel({ model: request.model });
+    const result = await model.generateContentStream(request.prompt, request.signal ? { signal: request.signal } : {});
+    
+    let text = '';
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      if (piece) {
+        text += piece;
+        onText(piece);
+      }
+    }
+    
+    const usage = (await result.response).usageMetadata;
+    return {
+      text,
+      usage: usage
+        ? { promptTokens: usage.promptTokenCount || 0, responseTokens: usage.candidatesTokenCount || 0 }
+        : estimateUsage(request.prompt, text)
+    };
+  }
+};
+
+// Rough token count (about four characters per token) for providers that
+// don't report usage
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function estimateUsage(prompt, text) {
+  return { promptTokens: estimateTokens(prompt), responseTokens: estimateTokens(text), estimated: true };
+}
+
+// Gemini accepts an OpenAPI subset - no length limits or additionalProperties
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type };
+  if (schema.description) converted.description = schema.description;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      converted.properties[key] = toGeminiSchema(value);
+    });
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+// OpenAI and anything speaking its chat completions API (Ollama, llama.cpp,
+// vLLM...) - only the base URL and key differ. `responseFormat` is how a
+// schema is requested: 'json_schema' (OpenAI structured outputs),
+// 'json_object' (plain JSON mode, widely supported) or 'none'
+function createOpenAIProvider(name, { apiKey, baseURL, defaultModel, responseFormat = 'json_schema' }) {
+  let client = null;
+  
+  // Created on first use - the OpenAI client refuses to start without a key
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+    }
+    return client;
+  };
+  
+  const readUsage = (usage, prompt, text) => usage
+    ? { promptTokens: usage.prompt_tokens || 0, responseTokens: usage.completion_tokens || 0 }
+    : estimateUsage(prompt, text);
+  
+  return {
+    name,
+    defaultModel,
+    isConfigured: () => !!(apiKey || baseURL),
+    
+    async generate(request) {
+      const client = getClient();
+      const body = {
+        model: request.model,
+        messages: [{ role: 'user', content: request.prompt }]
+      };
+      
+      if (request.schema && responseFormat === 'json_schema') {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: request.task.replace(/[^a-zA-Z0-9_-]/g, '_'), schema: request.schema }
+        };
+      } else if (request.schema && responseFormat === 'json_object') {
+        body.response_format = { type: 'json_object' };
+      }
+      
+      const toResult = (completion) => {
+        const text = completion.choices[0].message.content || '';
+        return { text, usage: readUsage(completion.usage, request.prompt, text) };
+      };
+      
+      try {
+        return toResult(await client.chat.completions.create(body));
+      } catch (error) {
+        // Older models and some local servers reject response_format -
+        // ask again without it and let validation deal with the answer
+        if (!body.response_format || error.status !== 400 || !/response_format|json_schema|json_object/i.test(error.message || '')) {
+          throw error;
+        }
+        console.log(`${name} (${request.model}) doesn't support structured output, retrying without it`);
+        delete body.response_format;
+        return toResult(await client.chat.completions.create(body));
+      }
+    },
+    
+    async stream(request, onText) {
+      const client = getClient();
+      const body = {
+        model: request.model,
+        messages: [{ role: 'user', content: request.prompt }],
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+      
+      const options = request.signal ? { signal: request.signal } : {};
+      let completion;
+      try {
+        completion = await client.chat.completions.create(body, options);
+      } catch (error) {
+        // Some local servers don't know stream_options - usage is estimated then
+        if (error.status !== 400 || !/stream_options|include_usage/i.test(error.message || '')) {
+          throw error;
+        }
+        delete body.stream_options;
+        completion = await client.chat.completions.create(body, options);
+      }
+      
+      let text = '';
+      let usage = null;
+      for await (const chunk of completion) {
+        const piece = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (piece) {
+          text += piece;
+          onText(piece);
+        }
+        // Sent with the last chunk when include_usage is honoured
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { text, usage: readUsage(usage, request.prompt, text) };
+    }
+  };
+}
+
+// Deterministic offline stand-in: one card per substantial paragraph of the
+// notes, cited by its ^bN reference. Good enough to exercise sync end to end
+const stubProvider = {
+  name: 'stub',
+  defaultModel: 'stub',
+  isConfigured: () => true,
+  
+  async generate(request) {
+    // One new version of a card: same kind, visibly changed
+    if (request.task === 'regenerate-card' || request.task === 'rewrite-card') {
+      const { card, instruction } = request.input;
+      const rewritten = card.type === 'cloze'
+        ? { question: '', answer: '', cloze: card.cloze }
+        : { question: instruction ? `${card.question} (${instruction})` : `Rephrased: ${card.question}`, answer: card.answer };
+      const text = JSON.stringify({ flashcards: [{ ...rewritten, ...(card.source && card.source.ref ? { sourceRef: card.source.ref } : {}) }] });
+      return { text, usage: estimateUsage(request.prompt, text) };
+    }
+    
+    // Restates the answer and the first line of the excerpt
+    if (request.task === 'explain') {
+      const { card, pageTitle, notes, question } = request.input;
+      const firstLine = String(notes || '').split('\n').find(line => line.trim() && !line.startsWith('(from')) || 'nothing about it';
+      const text = question
+        ? `[stub] You asked: "${question}". Your notes on "${pageTitle}" say: ${firstLine}`
+        : `[stub] The answer is "${card.answer}" because your notes on "${pageTitle}" say: ${firstLine}`;
+      return { text, usage: estimateUsage(request.prompt, text) };
+    }
+    
+    if (request.task !== 'flashcards') {
+      const text = `[stub] ${String(request.prompt).trim().split('\n').pop()}`;
+      return { text, usage: estimateUsage(request.prompt, text) };
+    }
+    
+    const { pageTitle, notes } = request.input;
+    const cards = String(notes || '')
+      .split(/\n+/)
+      .filter(line => !/^\s*(?:#|\|)/.test(line)) // headings and table rows
+      .map(line => {
+        const refMatch = /\s\^(b\d+)$/.exec(line);
+        const listItem = /^\s*(?:-|\d+\.)\s/.test(line);
+        let text = line
+          .replace(/\s\^b\d+$/, '')
+          .replace(/^\s*(?:-|\d+\.)\s*/, '')
+          .replace(/\*\*|__|\*|_/g, '')
+          .trim();
+        
+        // Inline note tag labels, e.g. "[Important] ..."
+        const noteTags = [];
+        let labelMatch;
+        while ((labelMatch = /^\[([^\]]+)\]\s*/.exec(text))) {
+          noteTags.push(labelMatch[1].toLowerCase().replace(/\s+/g, '-'));
+          text = text.slice(labelMatch[0].length);
+        }
+        
+        return { text, noteTags, listItem, ref: refMatch ? refMatch[1] : null };
+      })
+      .filter(line => line.text.split(/\s+/).length >= 4)
+      .slice(0, 10)
+      .map(line => {
+        // "Term: description" list items make cloze cards
+        const term = line.listItem && /^([^:]{1,60}):\s+(.+)$/.exec(line.text);
+        if (term) {
+          return {
+            question: '',
+            answer: '',
+            cloze: `{{c1::${term[1]}}}: ${term[2]}`,
+            noteTags: line.noteTags,
+            ...(line.ref ? { sourceRef: line.ref } : {})
+          };
+        }
+        
+        const words = line.text.split(/\s+/);
+        const topic = words.slice(0, 6).join(' ') + (words.length > 6 ? '…' : '');
+        return {
+          question: `What do your notes on "${pageTitle}" say about "${topic}"?`,
+          answer: line.text,
+          noteTags: line.noteTags,
+          ...(line.ref ? { sourceRef: line.ref } : {})
+        };
+      });
+    
+    // Fenced, like most chat models answer
+    const text = '```json\n' + JSON.stringify(cards, null, 2) + '\n```';
+    return { text, usage: estimateUsage(request.prompt, text) };
+  },
+  
+  // Word by word, to exercise streaming clients
+  async stream(request, onText) {
+    const result = await this.generate(request);
+    for (const piece of result.text.split(/(?<=\s)/)) {
+      if (request.signal && request.signal.aborted) {
+        throw new Error('Stream aborted');
+      }
+      onText(piece);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+};
+
+const llmProviders = {
+  gemini: geminiProvider,
+  openai: createOpenAIProvider('openai', {
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: 'gpt-4o-mini'
+  }),
+  'openai-compatible': createOpenAIProvider('openai-compatible', {
+    apiKey: process.env.LLM_OPENAI_COMPATIBLE_API_KEY,
+    baseURL: process.env.LLM_OPENAI_COMPATIBLE_BASE_URL,
+    defaultModel: process.env.LLM_OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+    responseFormat: process.env.LLM_OPENAI_COMPATIBLE_RESPONSE_FORMAT || 'json_object'
+  }),
+  stub: stubProvider
+};
+
+// Server-wide defaults; users and individual decks can override them
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const LLM_MODEL = process.env.LLM_MODEL || null;
+const LLM_FALLBACK_PROVIDER = process.env.LLM_FALLBACK_PROVIDER || null;
+const LLM_FALLBACK_MODEL = process.env.LLM_FALLBACK_MODEL || null;
+
+[LLM_PROVIDER, LLM_FALLBACK_PROVIDER].filter(Boolean).forEach(name => {
+  if (!llmProviders[name]) {
+    throw new Error(`Unknown LLM provider "${name}" - use one of ${Object.keys(llmProviders).join(', ')}`);
+  }
+});
+
+// Pick provider and model: deck setting, then user setting, then server default
+function resolveLLMChoice(userId, deckLLM = null) {
+  const userLLM = userId ? getUserSettings(userId).llm : null;
+  const choice = [deckLLM, userLLM].find(option => option && llmProviders[option.provider]);
+  
+  if (choice) {
+    return { provider: choice.provider, model: choice.model || llmProviders[choice.provider].defaultModel };
+  }
+  return { provider: LLM_PROVIDER, model: LLM_MODEL || llmProviders[LLM_PROVIDER].defaultModel };
+}
+
+// Out of quota or rate limited - worth trying another provider
+function isQuotaError(error) {
+  const status = error.status || (error.response && error.response.status);
+  return status === 429 ||
+    error.code === 'insufficient_quota' ||
+    /quota|rate limit|resource[_ ]exhausted/i.test(error.message || '');
+}
+
+// Run a request against the chosen provider, falling back to the configured
+// second provider when the first one is out of quota. Resolves to
+// { text, usage, provider, model }
+async function callLLM(request, { userId = null, deckLLM = null } = {}) {
+  const primary = resolveLLMChoice(userId, deckLLM);
+  
+  try {
+    const result = await llmProviders[primary.provider].generate({ ...request, model: primary.model });
+    return { ...result, ...primary };
+  } catch (error) {
+    const fallback = LLM_FALLBACK_PROVIDER && {
+      provider: LLM_FALLBACK_PROVIDER,
+      model: LLM_FALLBACK_MODEL || llmProviders[LLM_FALLBACK_PROVIDER].defaultModel
+    };
+    const sameChoice = fallback && fallback.provider === primary.provider && fallback.model === primary.model;
+    
+    if (!fallback || sameChoice || !isQuotaError(error)) {
+      throw error;
+    }
+    
+    console.log(`${primary.provider} (${primary.model}) is out of quota, falling back to ${fallback.provider} (${fallback.model})`);
+    const result = await llmProviders[fallback.provider].generate({ ...request, model: fallback.model });
+    return { ...result, ...fallback };
+  }
+}
+
+// One provider call, streamed: onText gets each piece of the answer as it
+// arrives. Providers without stream() answer in one piece. Falls back like
+// callLLM, but only while nothing has been sent yet. Resolves to
+// { text, usage, provider, model }. A failed or aborted stream throws with
+// `partial` ({ text, provider, model }: what had arrived, and from where)
+// so the caller can still account for it
+async function streamLLM(request, onText, { userId = null, deckLLM = null } = {}) {
+  let sentText = '';
+  let current = null;
+  const send = (piece) => {
+    sentText += piece;
+    onText(piece);
+  };
+  
+  const run = async (choice) => {
+    current = choice;
+    const provider = llmProviders[choice.provider];
+    const providerRequest = { ...request, model: choice.model };
+    if (provider.stream) {
+      return { ...(await provider.stream(providerRequest, send)), ...choice };
+    }
+    const result = await provider.generate(providerRequest);
+    send(result.text);
+    return { ...result, ...choice };
+  };
+  
+  const withPartial = (error) => {
+    error.partial = { text: sentText, ...current };
+    return error;
+  };
+  
+  const primary = resolveLLMChoice(userId, deckLLM);
+  try {
+    return await run(primary);
+  } catch (error) {
+    const fallback = LLM_FALLBACK_PROVIDER && {
+      provider: LLM_FALLBACK_PROVIDER,
+      model: LLM_FALLBACK_MODEL || llmProviders[LLM_FALLBACK_PROVIDER].defaultModel
+    };
+    const sameChoice = fallback && fallback.provider === primary.provider && fallback.model === primary.model;
+    
+    if (!fallback || sameChoice || sentText || !isQuotaError(error) || (request.signal && request.signal.aborted)) {
+      throw withPartial(error);
+    }
+    
+    console.log(`${primary.provider} (${primary.model}) is out of quota, falling back to ${fallback.provider} (${fallback.model})`);
+    try {
+      return await run(fallback);
+    } catch (fallbackError) {
+      throw withPartial(fallbackError);
+    }
+  }
+}
+
+// ------ LLM USAGE ------
+
+// Every generation is written to a per-user ledger so a shared API key can
+// be watched and capped. Prices are USD per million tokens; LLM_PRICES (JSON,
+// same shape) adds or overrides models. Unknown models are counted in tokens
+// but have no cost
+const LLM_PRICES = {
+  'gemini-2.0-flash': { prompt: 0.10, response: 0.40 },
+  'gemini-1.5-flash': { prompt: 0.075, response: 0.30 },
+  'gemini-1.5-pro': { prompt: 1.25, response: 5.00 },
+  'gpt-4o-mini': { prompt: 0.15, response: 0.60 },
+  'gpt-4o': { prompt: 2.50, response: 10.00 },
+  stub: { prompt: 0, response: 0 },
+  ...JSON.parse(process.env.LLM_PRICES || '{}')
+};
+
+// Quotas per user and period (UTC days and months) - unset or 0 means no
+// limit. USAGE_USER_LIMITS (JSON keyed by user id or email) gives individual
+// users their own, e.g. {"alice@example.com": {"monthlyCost": 5}}
+const USAGE_DEFAULT_LIMITS = {
+  dailyTokens: parseInt(process.env.USAGE_DAILY_TOKEN_LIMIT || '0', 10),
+  monthlyTokens: parseInt(process.env.USAGE_MONTHLY_TOKEN_LIMIT || '0', 10),
+  monthlyCost: parseFloat(process.env.USAGE_MONTHLY_COST_LIMIT || '0')
+};
+const USAGE_USER_LIMITS = JSON.parse(process.env.USAGE_USER_LIMITS || '{}');
+const USAGE_RETENTION_DAYS = 400;
+
+function getLLMCost(model, promptTokens, responseTokens) {
+  const price = LLM_PRICES[model];
+  if (!price) return null;
+  return (promptTokens * price.prompt + responseTokens * price.response) / 1e6;
+}
+
+// Collects the usage of several LLM calls (chunks, repairs) per model
+function createUsageTally() {
+  return {};
+}
+
+function addToUsageTally(tally, { provider, model, usage }) {
+  const key = `${provider}/${model}`;
+  const entry = tally[key] || (tally[key] = { provider, model, calls: 0, promptTokens: 0, responseTokens: 0, estimated: false });
+  entry.calls++;
+  entry.promptTokens += (usage && usage.promptTokens) || 0;
+  entry.responseTokens += (usage && usage.responseTokens) || 0;
+  entry.estimated = entry.estimated || !!(usage && usage.estimated);
+}
+
+// Write a tally to the user's ledger, one entry per model used
+function recordUsage(userId, task, label, tally, email = null) {
+  const models = Object.values(tally);
+  if (models.length === 0) return;
+  
+  const usage = loadUsage();
+  const user = usage[userId] || { entries: [] };
+  if (email) user.email = email;
+  
+  const date = new Date().toISOString();
+  models.forEach(entry => {
+    user.entries.push({
+      date,
+      task,
+      label,
+      ...entry,
+      cost: getLLMCost(entry.model, entry.promptTokens, entry.responseTokens)
+    });
+  });
+  
+  const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  user.entries = user.entries.filter(entry => entry.date >= cutoff);
+  usage[userId] = user;
+  saveUsage(usage);
+}
+
+function getUsageLimits(userId, email = null) {
+  const user = loadUsage()[userId] || {};
+  const override = USAGE_USER_LIMITS[userId] || USAGE_USER_LIMITS[email || user.email] || {};
+  return { ...USAGE_DEFAULT_LIMITS, ...override };
+}
+
+// Ledger entries summed per period ('day' -> YYYY-MM-DD, 'month' ->
+// YYYY-MM), newest first, each with its per-model breakdown
+function summarizeUsage(entries, period) {
+  const length = period === 'day' ? 10 : 7;
+  const periods = new Map();
+  
+  entries.forEach(entry => {
+    const key = entry.date.slice(0, length);
+    const total = periods.get(key) || { period: key, calls: 0, promptTokens: 0, responseTokens: 0, cost: 0, models: {} };
+    const model = total.models[`${entry.provider}/${entry.model}`] ||
+      (total.models[`${entry.provider}/${entry.model}`] = { provider: entry.provider, model: entry.model, calls: 0, promptTokens: 0, responseTokens: 0, cost: 0, priced: true });
+    
+    [total, model].forEach(sum => {
+      sum.calls += entry.calls;
+      sum.promptTokens += entry.promptTokens;
+      sum.responseTokens += entry.responseTokens;
+      sum.cost += entry.cost || 0;
+    });
+    if (entry.cost === null) model.priced = false;
+    periods.set(key, total);
+  });
+  
+  return [...periods.values()]
+    .sort((a, b) => b.period.localeCompare(a.period))
+    .map(total => ({ ...total, models: Object.values(total.models) }));
+}
+
+// Today's and this month's totals against the user's limits
+function getUsageStatus(userId, email = null) {
+  const entries = (loadUsage()[userId] || {}).entries || [];
+  const now = new Date().toISOString();
+  const today = entries.filter(entry => entry.date.slice(0, 10) === now.slice(0, 10));
+  const month = entries.filter(entry => entry.date.slice(0, 7) === now.slice(0, 7));
+  const sum = (list, field) => list.reduce((total, entry) => total + (entry[field] || 0), 0);
+  
+  return {
+    limits: getUsageLimits(userId, email),
+    today: { tokens: sum(today, 'promptTokens') + sum(today, 'responseTokens'), cost: sum(today, 'cost') },
+    month: { tokens: sum(month, 'promptTokens') + sum(month, 'responseTokens'), cost: sum(month, 'cost') }
+  };
+}
+
+// Refuse to start generating once a quota is used up. Throws with code
+// usageQuotaExceeded (status 429)
+function assertWithinUsageQuota(req) {
+  const userId = req.session.userId || 'default-user';
+  const { limits, today, month } = getUsageStatus(userId, req.session.userEmail);
+  
+  let reason = null;
+  if (limits.dailyTokens > 0 && today.tokens >= limits.dailyTokens) {
+    reason = `daily token limit reached (${today.tokens} of ${limits.dailyTokens}) - resets at midnight UTC`;
+  } else if (limits.monthlyTokens > 0 && month.tokens >= limits.monthlyTokens) {
+    reason = `monthly token limit reached (${month.tokens} of ${limits.monthlyTokens})`;
+  } else if (limits.monthlyCost > 0 && month.cost >= limits.monthlyCost) {
+    reason = `monthly budget reached ($${month.cost.toFixed(2)} of $${limits.monthlyCost.toFixed(2)})`;
+  }
+  
+  if (reason) {
+    const error = new Error(`LLM usage quota exceeded: ${reason}`);
+    error.code = 'usageQuotaExceeded';
+    error.status = 429;
+    throw error;
+  }
+}
+
+// ------ FLASHCARD OUTPUT VALIDATION ------
+
+const FLASHCARD_MAX_QUESTION_LENGTH = 500;
+const FLASHCARD_MAX_ANSWER_LENGTH = 2000;
+const FLASHCARD_FIELDS = ['question', 'answer', 'cloze', 'noteTags', 'sourceRef'];
+
+// What we ask the model for. Top level is an object because JSON modes
+// (OpenAI json_object) refuse bare arrays
+const FLASHCARD_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    flashcards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          question: { type: 'string', maxLength: FLASHCARD_MAX_QUESTION_LENGTH },
+          answer: { type: 'string', maxLength: FLASHCARD_MAX_ANSWER_LENGTH },
+          cloze: { type: 'string', maxLength: FLASHCARD_MAX_ANSWER_LENGTH },
+          noteTags: { type: 'array', items: { type: 'string' } },
+          sourceRef: { type: 'string' }
+        },
+        required: ['question', 'answer', 'cloze', 'noteTags', 'sourceRef'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['flashcards'],
+  additionalProperties: false
+};
+
+const FLASHCARD_FORMAT_INSTRUCTIONS = `Format your response as JSON, with no other text:
+{
+  "flashcards": [
+    {
+      "question": "What is the pathophysiology of type 2 diabetes?",
+      "answer": "Type 2 diabetes is characterized by insulin resistance in peripheral tissues and relative insulin deficiency. This results in hyperglycemia due to inadequate glucose uptake in muscle and adipose tissue, combined with increased hepatic glucose production.",
+      "cloze": "",
+      "noteTags": [],
+      "sourceRef": "b1"
+    },
+    {
+      "question": "",
+      "answer": "",
+      "cloze": "The first three cranial nerves are {{c1::olfactory}}, {{c2::optic}} and {{c3::oculomotor}}.",
+      "noteTags": [],
+      "sourceRef": "b2"
+    }
+  ]
+}
+Questions must be at most ${FLASHCARD_MAX_QUESTION_LENGTH} characters, answers and cloze text at most ${FLASHCARD_MAX_ANSWER_LENGTH}.`;
+
+// Cloze deletions, Anki style: {{c1::text}} or {{c1::text::hint}}
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+function getClozeNumbers(text) {
+  const numbers = new Set();
+  for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+    numbers.add(parseInt(match[1], 10));
+  }
+  return [...numbers].sort((a, b) => a - b);
+}
+
+// Plain-text face of one cloze sibling: the asked deletion becomes [...]
+// (or [hint]) on the question side, everything else shows its text
+function renderClozeText(text, number, side) {
+  return String(text).replace(CLOZE_PATTERN, (match, n, content, hint) => {
+    if (side === 'question' && parseInt(n, 10) === number) {
+      return `[${hint ? hint.trim() : '...'}]`;
+    }
+    return content;
+  });
+}
+
+// A cloze card becomes one sibling per cloze number, each an ordinary card
+// with its own scheduling. question/answer hold plain-text renderings so
+// search, dedupe and writeback work unchanged; `cloze` keeps the source
+function expandClozeCards(flashcards) {
+  return flashcards.flatMap(card => {
+    if (!card.cloze) {
+      const rest = { ...card };
+      delete rest.cloze;
+      return [rest];
+    }
+    
+    return getClozeNumbers(card.cloze).map(number => ({
+      ...card,
+      type: 'cloze',
+      clozeNumber: number,
+      question: renderClozeText(card.cloze, number, 'question'),
+      answer: renderClozeText(card.cloze, number, 'answer')
+    }));
+  });
+}
+
+// Pull the JSON value out of a model answer. Models wrap it in code fences
+// or chat around it, so fall back to the outermost brackets
+function extractJson(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)\s*```/.exec(trimmed);
+  const candidates = [trimmed];
+  if (fenced) candidates.push(fenced[1]);
+  
+  ['{', '['].forEach(open => {
+    const close = open === '{' ? '}' : ']';
+    const start = trimmed.indexOf(open);
+    const end = trimmed.lastIndexOf(close);
+    if (start !== -1 && end > start) candidates.push(trimmed.slice(start, end + 1));
+  });
+  
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(`response is not valid JSON (${lastError.message})`);
+}
+
+// Check one card against the schema. Returns the cleaned card, or a string
+// saying what's wrong. Extra fields are dropped rather than rejected. A card
+// with cloze text is a cloze card and needs no question or answer
+function validateFlashcard(card) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return 'is not an object';
+  }
+  
+  if (card.cloze !== undefined && card.cloze !== null && typeof card.cloze !== 'string') {
+    return 'has cloze text that is not a string';
+  }
+  if (card.cloze && card.cloze.trim()) {
+    return validateClozeCard(card);
+  }
+  
+  for (const field of ['question', 'answer']) {
+    if (typeof card[field] !== 'string' || !card[field].trim()) {
+      return `has an empty or missing ${field}`;
+    }
+  }
+  if (card.question.length > FLASHCARD_MAX_QUESTION_LENGTH) {
+    return `has a question longer than ${FLASHCARD_MAX_QUESTION_LENGTH} characters`;
+  }
+  if (card.answer.length > FLASHCARD_MAX_ANSWER_LENGTH) {
+    return `has an answer longer than ${FLASHCARD_MAX_ANSWER_LENGTH} characters`;
+  }
+  if (card.noteTags !== undefined && (!Array.isArray(card.noteTags) || card.noteTags.some(tag => typeof tag !== 'string'))) {
+    return 'has noteTags that are not a list of strings';
+  }
+  if (card.sourceRef !== undefined && card.sourceRef !== null && typeof card.sourceRef !== 'string') {
+    return 'has a sourceRef that is not a string';
+  }
+  
+  const cleaned = pickFlashcardFields(card);
+  delete cleaned.cloze;
+  cleaned.question = cleaned.question.trim();
+  cleaned.answer = cleaned.answer.trim();
+  return cleaned;
+}
+
+function validateClozeCard(card) {
+  const cloze = card.cloze.trim();
+  if (cloze.length > FLASHCARD_MAX_ANSWER_LENGTH) {
+    return `has cloze text longer than ${FLASHCARD_MAX_ANSWER_LENGTH} characters`;
+  }
+  if (getClozeNumbers(cloze).length === 0) {
+    return 'has cloze text without any {{c1::...}} deletion';
+  }
+  if (card.noteTags !== undefined && (!Array.isArray(card.noteTags) || card.noteTags.some(tag => typeof tag !== 'string'))) {
+    return 'has noteTags that are not a list of strings';
+  }
+  
+  const cleaned = pickFlashcardFields(card);
+  delete cleaned.question;
+  delete cleaned.answer;
+  cleaned.cloze = cloze;
+  return cleaned;
+}
+
+function pickFlashcardFields(card) {
+  const picked = {};
+  FLASHCARD_FIELDS.forEach(field => {
+    if (card[field] !== undefined && card[field] !== null) picked[field] = card[field];
+  });
+  return picked;
+}
+
+// Parse and validate a whole response. Accepts { flashcards: [...] } or a
+// bare array. Resolves to { cards, problems }: the valid cards plus one
+// message per thing that was wrong
+function parseFlashcardResponse(text) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { cards: [], problems: [error.message] };
+  }
+  
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.flashcards;
+  if (!Array.isArray(list)) {
+    return { cards: [], problems: ['response has no "flashcards" list'] };
+  }
+  
+  const cards = [];
+  const problems = [];
+  list.forEach((card, index) => {
+    const result = validateFlashcard(card);
+    if (typeof result === 'string') {
+      problems.push(`card ${index + 1} ${result}`);
+    } else {
+      cards.push(result);
+    }
+  });
+  
+  return { cards, problems };
+}
+
+function buildRepairPrompt(previousResponse, problems) {
+  return `
+Your previous answer could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Fix these problems and answer again. Keep every valid flashcard, correct or drop the invalid ones, and do not add anything else.
+
+${FLASHCARD_FORMAT_INSTRUCTIONS}
+
+Your previous answer:
+${previousResponse}
+`;
+}
+
+// ------ PROMPT TEMPLATES ------
+
+// What the model is asked for is a template the user can edit per notebook
+// or section. Variables: {pageTitle}, {cardsTarget} (how many cards the
+// notes are worth), {notes}, and {instructions} - the parts the app depends
+// on (tag handling, source refs, cloze guidance, JSON format). Templates
+// without {instructions} get them appended
+const PROMPT_PRESETS = {
+  medicine: {
+    label: 'Medicine',
+    template: `You are a specialized AI that creates high-quality flashcards for medical students.
+Create about {cardsTarget} flashcards from the following medical notes on "{pageTitle}".
+
+Each flashcard should have:
+1. A clear, focused question about a medical concept. Consider the surrounding context.
+2. A concise but complete answer (1-3 sentences)
+3. Be relevant for medical exam preparation
+
+{instructions}
+
+Here are the notes:
+{notes}`
+  },
+  law: {
+    label: 'Law',
+    template: `You are a specialized AI that creates high-quality flashcards for law students.
+Create about {cardsTarget} flashcards from the following notes on "{pageTitle}".
+
+Each flashcard should have:
+1. A precise question about a rule, element, test, case holding or statutory provision
+2. A concise answer (1-3 sentences) that states the rule and, where the notes give them, the authority and its exceptions
+3. Be relevant for exam and bar preparation - prefer applying rules over reciting trivia
+
+{instructions}
+
+Here are the notes:
+{notes}`
+  },
+  languages: {
+    label: 'Languages',
+    template: `You are a specialized AI that creates high-quality flashcards for language learners.
+Create about {cardsTarget} flashcards from the following notes on "{pageTitle}".
+
+Each flashcard should have:
+1. One vocabulary item, phrase or grammar point per card
+2. The translation or explanation as the answer, with a short example sentence when the notes have one
+3. Cloze cards for conjugations, declensions and fixed expressions
+
+{instructions}
+
+Here are the notes:
+{notes}`
+  },
+  stem: {
+    label: 'General STEM',
+    template: `You are a specialized AI that creates high-quality flashcards for science and engineering students.
+Create about {cardsTarget} flashcards from the following notes on "{pageTitle}".
+
+Each flashcard should have:
+1. A clear question about a definition, principle, formula, derivation step or worked method
+2. A concise but complete answer (1-3 sentences), keeping formulas and units exactly as written
+3. Test understanding of why and when something applies, not just what it is called
+
+{instructions}
+
+Here are the notes:
+{notes}`
+  }
+};
+
+const DEFAULT_PROMPT_PRESET = 'medicine';
+const PROMPT_TEMPLATE_MAX_LENGTH = 8000;
+
+// Short pages used by the settings preview when no page is picked
+const PROMPT_SAMPLE_PAGES = {
+  medicine: {
+    title: 'Heart Failure',
+    notes: `# Heart Failure
+
+Heart failure is the inability of the heart to pump enough blood to meet the body's needs.
+
+- Left-sided failure: pulmonary congestion, dyspnoea, orthopnoea
+- Right-sided failure: peripheral oedema, raised JVP, hepatomegaly
+
+First-line treatment of HFrEF: ACE inhibitor and beta blocker.`
+  },
+  law: {
+    title: 'Offer and Acceptance',
+    notes: `# Offer and Acceptance
+
+An offer is a definite promise to be bound on specific terms. An invitation to treat is not an offer (Pharmaceutical Society v Boots, 1953).
+
+Acceptance must be unconditional and communicated to the offeror. Under the postal rule, acceptance is complete when the letter is posted (Adams v Lindsell, 1818).`
+  },
+  languages: {
+    title: 'Spanish: ser and estar',
+    notes: `# Ser vs estar
+
+Ser is used for permanent characteristics, identity and time: Soy médico. Son las tres.
+
+Estar is used for location and temporary states: Estoy cansado. El libro está en la mesa.
+
+- estar: estoy, estás, está, estamos, estáis, están`
+  },
+  stem: {
+    title: 'Ohm\'s Law',
+    notes: `# Ohm's Law
+
+The current through a conductor is proportional to the voltage across it: V = I × R, with V in volts, I in amperes and R in ohms.
+
+Resistors in series add: R = R1 + R2. In parallel, the reciprocals add: 1/R = 1/R1 + 1/R2.`
+  }
+};
+
+// Roughly one card per 60 words of notes, within sensible bounds
+function estimateCardsTarget(notes) {
+  return Math.max(3, Math.min(30, Math.round(countWords(notes) / 60)));
+}
+
+// Only known variables are replaced, so templates can contain other braces
+function renderPromptTemplate(template, variables) {
+  const withInstructions = template.includes('{instructions}')
+    ? template
+    : `${template}\n\n{instructions}`;
+  
+  return withInstructions.replace(/\{(pageTitle|cardsTarget|notes|instructions)\}/g, (match, name) =>
+    String(variables[name] !== undefined ? variables[name] : ''));
+}
+
+// Returns an error message, or null when the template is usable
+function validatePromptTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'The template is empty';
+  }
+  if (template.length > PROMPT_TEMPLATE_MAX_LENGTH) {
+    return `The template is longer than ${PROMPT_TEMPLATE_MAX_LENGTH} characters`;
+  }
+  if (!template.includes('{notes}')) {
+    return 'The template must include {notes}';
+  }
+  return null;
+}
+
+// A stored prompt setting is { preset, template } - template null means the
+// preset's own text
+function getPromptTemplateText(entry) {
+  if (entry && entry.template) return entry.template;
+  const preset = PROMPT_PRESETS[entry && entry.preset] || PROMPT_PRESETS[DEFAULT_PROMPT_PRESET];
+  return preset.template;
+}
+
+// Notebook of a section, remembered for a while - sections can move to
+// another notebook. Reconciliation forgets the sections it saw pages move
+// between straight away
+const SECTION_NOTEBOOK_CACHE_TTL_MS = 10 * 60 * 1000;
+const sectionNotebookCache = new Map();
+
+async function getSectionNotebookId(req, sectionId) {
+  const cached = sectionNotebookCache.get(sectionId);
+  if (cached && Date.now() - cached.cachedAt < SECTION_NOTEBOOK_CACHE_TTL_MS) {
+    return cached.notebookId;
+  }
+  
+  const section = await noteSource.getSection(req, sectionId);
+  const notebookId = section && section.parentNotebook ? section.parentNotebook.id : null;
+  sectionNotebookCache.set(sectionId, { notebookId, cachedAt: Date.now() });
+  return notebookId;
+}
+
+function forgetSectionNotebooks(sectionIds) {
+  sectionIds.forEach(sectionId => sectionNotebookCache.delete(sectionId));
+}
+
+// Pick the template for a page: its section's, then its notebook's, then the
+// user's default, then the built-in preset. Resolves to { template, scope }
+async function resolvePromptTemplate(req, sectionId = null) {
+  const prompts = getUserSettings(req.session.userId || 'default-user').prompts;
+  
+  if (sectionId && prompts.sections[sectionId]) {
+    return { template: getPromptTemplateText(prompts.sections[sectionId]), scope: 'section' };
+  }
+  
+  // Only look the notebook up when there's a notebook template to find
+  if (sectionId && Object.keys(prompts.notebooks).length > 0) {
+    try {
+      const notebookId = await getSectionNotebookId(req, sectionId);
+      if (notebookId && prompts.notebooks[notebookId]) {
+        return { template: getPromptTemplateText(prompts.notebooks[notebookId]), scope: 'notebook' };
+      }
+    } catch (error) {
+      console.error(`Could not find the notebook of section ${sectionId}:`, error.message);
+    }
+  }
+  
+  return { template: getPromptTemplateText(prompts.default), scope: prompts.default ? 'default' : 'preset' };
+}
+
+const CLOZE_INSTRUCTIONS = 'For lists, enumerations, mnemonics and definitions, prefer cloze cards: put the sentence in "cloze", mark each part to remember as {{c1::...}}, {{c2::...}} and so on, and leave "question" and "answer" empty. Use the same number for parts that should be hidden together. Use question/answer cards for everything else and leave "cloze" empty.';
+
+const SOURCE_REF_INSTRUCTIONS = 'Each paragraph of the notes ends with a reference such as ^b12. Set "sourceRef" to the reference of the paragraph the card is mainly based on.';
+
+// The full prompt for one chunk of a page. `extra` can ask for a number of
+// cards ({ cardsTarget }) and add instructions ({ instructions })
+function buildFlashcardPrompt(template, chunk, index, chunkCount, pageTitle, extra = {}) {
+  const notes = joinMarkdownBlocks(chunk.blocks, true);
+  const taggedBlocks = chunk.blocks.filter(block => block.tags.length > 0);
+  
+  // Tell the model where the excerpt sits so questions keep their context
+  const chunkContext = chunkCount > 1 ? `These notes are part ${index + 1} of ${chunkCount} of the page${chunk.headingPath.length > 0 ? `, under the heading "${chunk.headingPath.join(' > ')}"` : ''}. Only create flashcards for this part; include enough context in each question to make sense on its own.` : '';
+  
+  const instructions = [
+    chunkContext,
+    buildNoteTagInstructions(taggedBlocks).trim(),
+    SOURCE_REF_INSTRUCTIONS,
+    CLOZE_INSTRUCTIONS,
+    extra.instructions,
+    FLASHCARD_FORMAT_INSTRUCTIONS
+  ].filter(part => part).join('\n\n');
+  
+  return renderPromptTemplate(template, {
+    pageTitle,
+    cardsTarget: extra.cardsTarget || estimateCardsTarget(notes),
+    notes,
+    instructions
+  });
+}
+
+// ------ GENERATION CACHE ------
+
+// Validated model output per chunk, keyed by (normalized chunk text, prompt
+// version, model), so re-running a full sync over unchanged pages doesn't pay
+// for the same generation again. Least recently used entries are dropped
+// first; 0 turns the cache off
+const LLM_CACHE_MAX_ENTRIES = parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '2000', 10);
+
+// Bump when the built-in instructions (buildFlashcardPrompt,
+// FLASHCARD_FORMAT_INSTRUCTIONS) change, so output for the old wording is
+// neither reused nor mistaken for current
+const PROMPT_INSTRUCTIONS_VERSION = 1;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// The prompt version cards record in their provenance: built-in instructions
+// plus the user's template
+function getPromptVersion(template) {
+  return `v${PROMPT_INSTRUCTIONS_VERSION}-${hashText(template).slice(0, 12)}`;
+}
+
+// Fingerprint of everything about a chunk that goes into its prompt besides
+// the template - whitespace differences don't count
+function computeChunkHash(chunk, index, chunkCount, pageTitle) {
+  const notes = joinMarkdownBlocks(chunk.blocks, true).replace(/\s+/g, ' ').trim();
+  return hashText([pageTitle, `${index + 1}/${chunkCount}`, chunk.headingPath.join(' > '), notes].join('\n'));
+}
+
+function getGenerationCacheKey(sourceHash, promptVersion, { provider, model }) {
+  return hashText([sourceHash, promptVersion, provider, model].join('\n'));
+}
+
+// Cache hits only bump lastUsedAt here; the bumps are written with the next
+// new entry (which is when eviction needs them) rather than rewriting the
+// whole file on every hit
+const llmCacheLastUsed = new Map();
+
+function getCachedGeneration(key) {
+  if (LLM_CACHE_MAX_ENTRIES <= 0) return null;
+  
+  const entry = loadLLMCache()[key];
+  if (!entry) return null;
+  
+  const lastUsedAt = new Date().toISOString();
+  llmCacheLastUsed.set(key, lastUsedAt);
+  return { ...entry, lastUsedAt };
+}
+
+function cacheGeneration(key, entry) {
+  if (LLM_CACHE_MAX_ENTRIES <= 0) return;
+  
+  const cache = loadLLMCache();
+  llmCacheLastUsed.forEach((lastUsedAt, usedKey) => {
+    if (cache[usedKey]) cache[usedKey].lastUsedAt = lastUsedAt;
+  });
+  llmCacheLastUsed.clear();
+  cache[key] = { ...entry, lastUsedAt: new Date().toISOString() };
+  
+  const keys = Object.keys(cache);
+  if (keys.length > LLM_CACHE_MAX_ENTRIES) {
+    keys
+      .sort((a, b) => String(cache[a].lastUsedAt).localeCompare(String(cache[b].lastUsedAt)))
+      .slice(0, keys.length - LLM_CACHE_MAX_ENTRIES)
+      .forEach(oldKey => delete cache[oldKey]);
+  }
+  saveLLMCache(cache);
+}
+
+// ------ CHUNKED GENERATION ------
+
+// Long pages are split into chunks the model can handle instead of being
+// truncated. Sizes are in words, which is close enough to tokens here
+const LLM_CHUNK_WORDS = parseInt(process.env.LLM_CHUNK_WORDS || '3000', 10);
+const LLM_CHUNK_OVERLAP_WORDS = parseInt(process.env.LLM_CHUNK_OVERLAP_WORDS || '200', 10);
+
+function countWords(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+// Plain text (txt/md/pdf imports) has no data-ids, but blank-line paragraphs
+// and Markdown headings give us the same block structure as converted HTML
+function textToBlocks(text) {
+  const blocks = [];
+  const headings = [];
+  
+  String(text || '').split(/\n\s*\n/).forEach(paragraph => {
+    const markdown = paragraph.trim();
+    if (!markdown) return;
+    
+    const heading = /^(#{1,6})\s+(.+)$/.exec(markdown);
+    if (heading && !markdown.includes('\n')) {
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, text: heading[2].trim() });
+    }
+    
+    blocks.push({
+      ref: `b${blocks.length + 1}`,
+      dataId: null,
+      type: heading ? 'heading' : 'paragraph',
+      markdown,
+      tags: [],
+      headingPath: headings.map(entry => entry.text),
+      group: null
+    });
+  });
+  
+  return blocks;
+}
+
+// A single block bigger than a chunk (a huge pasted paragraph) is cut into
+// word windows that keep the block's ref and heading path
+function splitOversizedBlock(block, maxWords) {
+  const words = block.markdown.split(/\s+/);
+  if (words.length <= maxWords) return [block];
+  
+  const parts = [];
+  for (let start = 0; start < words.length; start += maxWords) {
+    parts.push({ ...block, markdown: words.slice(start, start + maxWords).join(' ') });
+  }
+  return parts;
+}
+
+// Group blocks into chunks of at most `maxWords`, preferring to break right
+// before a heading so a chunk covers whole sections. Each chunk after the
+// first repeats the tail of the previous one (up to `overlapWords`) so facts
+// spanning the boundary still end up together in one prompt.
+// Returns [{ blocks, headingPath, words }]
+function chunkBlocks(blocks, maxWords = LLM_CHUNK_WORDS, overlapWords = LLM_CHUNK_OVERLAP_WORDS) {
+  const pieces = blocks.flatMap(block => splitOversizedBlock(block, maxWords));
+  const totalWords = pieces.reduce((sum, block) => sum + countWords(block.markdown), 0);
+  if (totalWords <= maxWords) {
+    return [{ blocks: pieces, headingPath: [], words: totalWords }];
+  }
+  
+  const chunks = [];
+  let start = 0;
+  while (start < pieces.length) {
+    let end = start;
+    let words = 0;
+    let lastHeading = -1;
+    
+    while (end < pieces.length) {
+      const blockWords = countWords(pieces[end].markdown);
+      if (end > start && words + blockWords > maxWords) break;
+      if (end > start && pieces[end].type === 'heading') lastHeading = end;
+      words += blockWords;
+      end++;
+    }
+    
+    // Back up to the last heading unless that would leave the chunk less
+    // than half full
+    if (end < pieces.length && lastHeading > start) {
+      const headingWords = pieces.slice(start, lastHeading)
+        .reduce((sum, block) => sum + countWords(block.markdown), 0);
+      if (headingWords >= maxWords / 2) {
+        end = lastHeading;
+      }
+    }
+    
+    const chunk = pieces.slice(start, end);
+    chunks.push({
+      blocks: chunk,
+      headingPath: chunk[0].headingPath || [],
+      words: chunk.reduce((sum, block) => sum + countWords(block.markdown), 0)
+    });
+    if (end >= pieces.length) break;
+    
+    // Start the next chunk with the previous chunk's tail, unless the tail
+    // would crowd out the block that didn't fit
+    let next = end;
+    let overlap = 0;
+    while (next - 1 > start && overlap + countWords(pieces[next - 1].markdown) <= overlapWords) {
+      next--;
+      overlap += countWords(pieces[next].markdown);
+    }
+    start = overlap + countWords(pieces[end].markdown) <= maxWords ? next : end;
+  }
+  
+  return chunks;
+}
+
+function normalizeQuestion(question) {
+  return String(question || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function wordSet(text) {
+  return new Set(normalizeQuestion(text).split(' ').filter(word => word));
+}
+
+function wordOverlap(a, b) {
+  const shared = [...a].filter(word => b.has(word)).length;
+  const union = new Set([...a, ...b]).size;
+  return union > 0 ? shared / union : 0;
+}
+
+// Overlapping chunks tend to produce the same card twice, worded slightly
+// differently. Cards count as duplicates when their questions match after
+// normalization, or when both question and answer share most of their
+// words; the first one wins
+function dedupeFlashcards(flashcards) {
+  const kept = [];
+  const seen = [];
+  
+  flashcards.forEach(card => {
+    // Cloze siblings share their text - compare them per cloze number
+    const entry = card.clozeNumber ? {
+      kind: `cloze${card.clozeNumber}`,
+      normalized: `${normalizeQuestion(card.cloze)}#${card.clozeNumber}`,
+      questionWords: wordSet(card.cloze),
+      answerWords: wordSet(card.answer)
+    } : {
+      kind: 'basic',
+      normalized: normalizeQuestion(card.question),
+      questionWords: wordSet(card.question),
+      answerWords: wordSet(card.answer)
+    };
+    
+    const duplicate = seen.some(other =>
+      other.normalized === entry.normalized || (
+        other.kind === entry.kind &&
+        wordOverlap(other.questionWords, entry.questionWords) >= 0.8 &&
+        wordOverlap(other.answerWords, entry.answerWords) >= 0.6
+      )
+    );
+    if (duplicate) return;
+    
+    seen.push(entry);
+    kept.push(card);
+  });
+  
+  return kept;
+}
+
+// Extract text content from OneNote HTML (or plain text), keeping note-tagged
+// blocks as signals for generation and paragraph refs for linking cards back
+function contentToBlocks(content) {
+  if (typeof content === 'string' && content.includes('<html')) {
+    try {
+      return convertOneNoteHtml(content).blocks;
+    } catch (error) {
+      console.error('Error converting OneNote HTML:', error);
+      return textToBlocks(extractTextFromOneNoteHtml(content));
+    }
+  }
+  return textToBlocks(content);
+}
+
+// Enhanced LLM flashcard extraction with improved prompting
+// `options.userId` / `options.deckLLM` select the model (see resolveLLMChoice),
+// `options.promptTemplate` the prompt (see resolvePromptTemplate), and
+// `options.extra` ({ cardsTarget, instructions }, see buildFlashcardPrompt)
+// adjusts it per chunk - such requests bypass the generation cache. The
+// tokens used are written to the usage ledger of `options.userId` under
+// `options.usageTask` (`options.userEmail` lets per-email quotas find it).
+// Resolves to { cards, chunks, cachedChunks, parseErrors } - chunks is how
+// many parts the page was generated in (cachedChunks of them came from the
+// generation cache), parseErrors what the model got wrong even after a
+// repair attempt. Throws (code invalidLLMOutput) when nothing usable came back
+async function extractFlashcardsWithLLM(content, pageTitle, options = {}) {
+  const chunks = chunkBlocks(contentToBlocks(content));
+  if (chunks.length > 1) {
+    console.log(`Splitting "${pageTitle}" into ${chunks.length} chunks`);
+  }
+  
+  const flashcards = [];
+  const parseErrors = [];
+  let cachedChunks = 0;
+  const usageTally = createUsageTally();
+  try {
+    for (let index = 0; index < chunks.length; index++) {
+      const result = await extractFlashcardsFromChunk(chunks[index], index, chunks.length, pageTitle, { ...options, usageTally });
+      flashcards.push(...result.cards);
+      parseErrors.push(...result.problems);
+      if (result.cached) cachedChunks++;
+    }
+  } finally {
+    // Tokens spent on a page that failed halfway still count
+    recordUsage(options.userId || 'default-user', options.usageTask || 'flashcards', pageTitle, usageTally, options.userEmail);
+  }
+  
+  // An empty deck would look like "this page has no cards" - fail instead so
+  // the page keeps its old cards and is retried on the next sync
+  if (flashcards.length === 0 && parseErrors.length > 0) {
+    const error = new Error(`The model did not return valid flashcards: ${parseErrors[0]}`);
+    error.code = 'invalidLLMOutput';
+    error.parseErrors = parseErrors;
+    throw error;
+  }
+  
+  return { cards: dedupeFlashcards(flashcards), chunks: chunks.length, cachedChunks, parseErrors };
+}
+
+// One chunk of a page: reuse a cached generation or ask for cards, validate
+// them and, if the answer was broken, ask once more with the problems spelled
+// out. Resolves to { cards, problems, cached } - problems describe anything
+// that had to be dropped. Every card records its provenance (model, prompt
+// version, source hash, generation time).
+// Provider errors (network, auth, quota) propagate so the page is retried
+async function extractFlashcardsFromChunk(chunk, index, chunkCount, pageTitle, options) {
+  const { blocks } = chunk;
+  const notes = joinMarkdownBlocks(blocks, true);
+  const label = chunkCount > 1 ? `chunk ${index + 1}/${chunkCount}: ` : '';
+  const template = options.promptTemplate || getPromptTemplateText(null);
+  const sourceHash = computeChunkHash(chunk, index, chunkCount, pageTitle);
+  const promptVersion = getPromptVersion(template);
+  
+  // Requests with extra instructions are one-offs - never cached
+  const useCache = !options.extra;
+  const cacheKey = getGenerationCacheKey(sourceHash, promptVersion, resolveLLMChoice(options.userId, options.deckLLM));
+  const cachedEntry = useCache ? getCachedGeneration(cacheKey) : null;
+  if (cachedEntry) {
+    console.log(`Using cached flashcards for ${label}"${pageTitle}" (${cachedEntry.provenance.model})`);
+    return {
+      cards: finishChunkCards(cachedEntry.cards, blocks, cachedEntry.provenance),
+      problems: [],
+      cached: true
+    };
+  }
+  
+  const prompt = buildFlashcardPrompt(template, chunk, index, chunkCount, pageTitle, options.extra);
+
+  const request = {
+    task: 'flashcards',
+    prompt,
+    input: { pageTitle, notes, headingPath: chunk.headingPath, chunk: index + 1, chunks: chunkCount },
+    schema: FLASHCARD_RESPONSE_SCHEMA
+  };
+  
+  const response = await callLLM(request, options);
+  addToUsageTally(options.usageTally, response);
+  let result = parseFlashcardResponse(response.text);
+  let generatedBy = response;
+  
+  if (result.problems.length > 0) {
+    console.log(`Invalid flashcards from the model for ${label}"${pageTitle}", asking for a repair: ${result.problems.join('; ')}`);
+    const repairResponse = await callLLM({
+      ...request,
+      prompt: buildRepairPrompt(response.text, result.problems)
+    }, options);
+    addToUsageTally(options.usageTally, repairResponse);
+    const repaired = parseFlashcardResponse(repairResponse.text);
+    
+    // Keep whichever answer salvaged more cards
+    if (repaired.cards.length >= result.cards.length) {
+      result = repaired;
+      generatedBy = repairResponse;
+    }
+  }
+  
+  const provenance = {
+    provider: generatedBy.provider,
+    model: generatedBy.model,
+    promptVersion,
+    sourceHash,
+    generatedAt: new Date().toISOString()
+  };
+  
+  // Only clean answers are cached - a broken one deserves another try. Filed
+  // under the model we asked, which is what the next lookup uses, and under
+  // the fallback model too when that is what answered
+  if (useCache && result.problems.length === 0 && result.cards.length > 0) {
+    const entry = { cards: result.cards, provenance };
+    cacheGeneration(cacheKey, entry);
+    const answeredKey = getGenerationCacheKey(sourceHash, promptVersion, generatedBy);
+    if (answeredKey !== cacheKey) {
+      cacheGeneration(answeredKey, entry);
+    }
+  }
+  
+  return {
+    cards: finishChunkCards(result.cards, blocks, provenance),
+    problems: result.problems.map(problem => `${label}${problem}`),
+    cached: false
+  };
+}
+
+// Validated model cards to deck cards: note tags, paragraph links, cloze
+// siblings and provenance
+function finishChunkCards(cards, blocks, provenance) {
+  return expandClozeCards(applySourceRefs(applyNoteTags(cards), blocks))
+    .map(card => ({ ...card, provenance }));
+}
+
+// Normalize extracted page text and fingerprint it, so cosmetic HTML churn
+// (OneNote rewrites ids and styles on every save) doesn't look like a change
+function computeContentHash(content) {
+  const textContent = typeof content === 'string' && content.includes('<html')
+    ? extractTextFromOneNoteHtml(content)
+    : String(content || '');
+
+  const normalized = textContent
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// ------ CARD MERGE ------
+
+// Regenerating a page merges the new cards into the deck instead of
+// replacing it. Each generated card keeps a snapshot of what the model wrote
+// (`generated`, the merge base), so a card whose question or answer no
+// longer matches it - or that carries `editedAt` - was edited by the user.
+// Cards with origin 'user' were added by hand and are never touched
+const CARD_CONTENT_FIELDS = ['question', 'answer', 'type', 'cloze', 'clozeNumber', 'source', 'priority'];
+const CARD_MATCH_THRESHOLD = 0.5;
+
+function getGeneratedBase(card) {
+  return card.generated || {
+    question: card.question,
+    answer: card.answer,
+    ...(card.cloze ? { cloze: card.cloze } : {})
+  };
+}
+
+function isUserEditedCard(card) {
+  if (card.editedAt) return true;
+  if (!card.generated) return false;
+  return card.question !== card.generated.question ||
+    card.answer !== card.generated.answer ||
+    (card.cloze || null) !== (card.generated.cloze || null);
+}
+
+// How alike an existing card (compared through its merge base) and a new
+// one are, from 0 to 1. Cloze siblings only pair up with the same number
+function scoreCardMatch(existing, incoming) {
+  if (existing.id && incoming.id) {
+    return existing.id === incoming.id ? 1 : 0;
+  }
+  
+  const base = getGeneratedBase(existing);
+  if (incoming.cloze || base.cloze) {
+    if (!incoming.cloze || !base.cloze || existing.clozeNumber !== incoming.clozeNumber) return 0;
+    if (normalizeQuestion(base.cloze) === normalizeQuestion(incoming.cloze)) return 1;
+    return wordOverlap(wordSet(base.cloze), wordSet(incoming.cloze));
+  }
+  
+  if (normalizeQuestion(base.question) === normalizeQuestion(incoming.question)) return 1;
+  
+  const score = 0.6 * wordOverlap(wordSet(base.question), wordSet(incoming.question)) +
+    0.4 * wordOverlap(wordSet(base.answer), wordSet(incoming.answer));
+  
+  // Cards cut from the same paragraph are more likely the same card
+  const sameParagraph = existing.source && incoming.source && existing.source.dataId &&
+    existing.source.dataId === incoming.source.dataId;
+  return sameParagraph ? Math.min(1, score + 0.1) : score;
+}
+
+function mergeTags(existingTags, incomingTags) {
+  const tags = Array.isArray(existingTags) ? existingTags.slice() : [];
+  (incomingTags || []).forEach(tag => {
+    if (!tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+}
+
+// Three-way merge of a deck's cards with a fresh generation. Returns
+// { cards, stats } where stats counts what happened to the cards:
+// - updated: unedited cards that took the new wording (scheduling kept)
+// - kept: user-edited cards whose wording was kept
+// - added: new cards
+// - stale: generated cards with no counterpart any more - their source text
+//   is gone, so they're flagged rather than dropped
+// - user: hand-added cards and cards asked for on demand, left alone
+function mergeRegeneratedCards(existingCards, generatedCards, now = new Date().toISOString()) {
+  const isUserCard = card => card.origin === 'user' || card.origin === 'on-demand';
+  const userCards = existingCards.filter(isUserCard);
+  const candidates = existingCards.filter(card => !isUserCard(card));
+  const stats = { updated: 0, kept: 0, added: 0, stale: 0, user: userCards.length };
+  
+  // Best pairs first, so a close match isn't taken by a weaker one
+  const pairs = [];
+  candidates.forEach((existing, existingIndex) => {
+    generatedCards.forEach((incoming, incomingIndex) => {
+      const score = scoreCardMatch(existing, incoming);
+      if (score >= CARD_MATCH_THRESHOLD) pairs.push({ existingIndex, incomingIndex, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+  
+  const matchForIncoming = new Map();
+  const matchedExisting = new Set();
+  pairs.forEach(({ existingIndex, incomingIndex }) => {
+    if (matchForIncoming.has(incomingIndex) || matchedExisting.has(existingIndex)) return;
+    matchForIncoming.set(incomingIndex, candidates[existingIndex]);
+    matchedExisting.add(existingIndex);
+  });
+  
+  const merged = generatedCards.map((incoming, incomingIndex) => {
+    const base = getGeneratedBase(incoming);
+    const existing = matchForIncoming.get(incomingIndex);
+    
+    if (!existing) {
+      stats.added++;
+      return { id: createCardId(), ...incoming, generated: base };
+    }
+    
+    const card = { ...existing, id: existing.id || createCardId() };
+    delete card.stale;
+    delete card.staleSince;
+    card.tags = mergeTags(existing.tags, incoming.tags);
+    card.generated = base;
+    if (incoming.provenance) card.provenance = incoming.provenance;
+    
+    if (isUserEditedCard(existing)) {
+      // The user's wording wins; only where it points is refreshed
+      stats.kept++;
+      card.source = incoming.source || existing.source;
+      return card;
+    }
+    
+    stats.updated++;
+    CARD_CONTENT_FIELDS.forEach(field => {
+      if (incoming[field] !== undefined) {
+        card[field] = incoming[field];
+      } else {
+        delete card[field];
+      }
+    });
+    return card;
+  });
+  
+  const stale = candidates
+    .filter((card, index) => !matchedExisting.has(index))
+    .map(card => {
+      stats.stale++;
+      return card.stale ? card : { ...card, stale: true, staleSince: now };
+    });
+  
+  return { cards: [...merged, ...stale, ...userCards], stats };
+}
+
+// Clients save whole decks. Each deck they load carries `revision`, a
+// fingerprint of the stored deck; a save whose revision no longer matches
+// was made without seeing a server-side change (a background sync
+// regenerated the deck meanwhile) and is merged card by card instead of
+// replacing the deck. A card missing from such a save may be one the server
+// added since, so clients list the cards they deleted in `removedCardIds`
+const CARD_STUDY_FIELDS = ['interval', 'ease', 'due', 'reviewCount'];
+const CARD_CLIENT_FIELDS = ['tags', 'suspended', 'extra'];
+const CARD_EDIT_FIELDS = ['question', 'answer', 'type', 'cloze', 'clozeNumber', 'editedAt'];
+// Deck fields the server sets itself (sync, reconciliation, writeback and
+// the deck routes) - the client only mirrors them, and its copy may be old
+const DECK_SERVER_FIELDS = ['pageTitle', 'sectionId', 'links', 'archived', 'archivedAt', 'archiveReason', 'restoredAt', 'writeback', 'llm'];
+
+function getDeckRevision(deck) {
+  return crypto.createHash('sha256').update(JSON.stringify(deck)).digest('hex').slice(0, 16);
+}
+
+// The server's cards, minus the ones the client deleted, carry over the
+// client's study progress, tags and edits by card id; cards the client added
+// are appended. Deck settings are the client's, apart from DECK_SERVER_FIELDS
+function mergeStaleDeck(storedDeck, clientDeck, removedCardIds = []) {
+  const removed = new Set(removedCardIds);
+  const clientCards = new Map((clientDeck.cards || []).map(card => [card.id, card]));
+  
+  const cards = storedDeck.cards
+    .filter(card => !removed.has(card.id))
+    .map(card => {
+      const clientCard = clientCards.get(card.id);
+      if (!clientCard) return card;
+      
+      const merged = { ...card };
+      // Progress from an older snapshot doesn't undo reviews made elsewhere
+      if ((clientCard.reviewCount || 0) >= (card.reviewCount || 0)) {
+        CARD_STUDY_FIELDS.forEach(field => {
+          if (clientCard[field] !== undefined) merged[field] = clientCard[field];
+        });
+      }
+      CARD_CLIENT_FIELDS.forEach(field => {
+        if (clientCard[field] !== undefined) merged[field] = clientCard[field];
+      });
+      if (clientCard.editedAt && (!card.editedAt || clientCard.editedAt > card.editedAt)) {
+        CARD_EDIT_FIELDS.forEach(field => {
+          if (clientCard[field] !== undefined) merged[field] = clientCard[field];
+        });
+      }
+      return merged;
+    });
+  
+  const storedIds = new Set(storedDeck.cards.map(card => card.id));
+  const addedByClient = (clientDeck.cards || []).filter(card => !storedIds.has(card.id));
+  
+  const deck = { ...clientDeck, cards: [...cards, ...addedByClient] };
+  DECK_SERVER_FIELDS.forEach(field => {
+    if (storedDeck[field] !== undefined) {
+      deck[field] = storedDeck[field];
+    } else {
+      delete deck[field];
+    }
+  });
+  if (storedDeck.lastUpdated > (deck.lastUpdated || '')) {
+    deck.lastUpdated = storedDeck.lastUpdated;
+  }
+  return deck;
+}
+
+// ------ ON-DEMAND GENERATION ------
+
+// Page-level requests from the cards view: more cards for a page, or a new
+// version of one card. Nothing is saved here - the results are proposals the
+// user reviews before they replace or join anything
+const GENERATE_MORE_MAX_CARDS = 20;
+const REWRITE_INSTRUCTION_MAX_LENGTH = 500;
+const EXISTING_CARDS_IN_PROMPT = 100;
+
+function createOnDemandError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A deck and the current content of the page behind it, split into chunks
+async function loadDeckSource(req, pageId) {
+  const userId = req.session.userId || 'default-user';
+  const deck = (loadFlashcards()[userId] || {})[pageId];
+  if (!deck) {
+    throw createOnDemandError('Deck not found', 'deckNotFound');
+  }
+  if (deck.sourceType === 'document') {
+    throw createOnDemandError('Imported documents are not kept - import the document again to regenerate its cards', 'sourceUnavailable');
+  }
+  
+  const content = await getPageContent(req, pageId);
+  const chunks = chunkBlocks(contentToBlocks(content));
+  if (!chunks.some(chunk => chunk.blocks.length > 0)) {
+    throw createOnDemandError('The page has no notes to generate cards from', 'pageEmpty');
+  }
+  return { userId, deck, content, chunks };
+}
+
+// One line per existing card, for telling the model what not to repeat
+function describeExistingCards(cards) {
+  const seen = new Set();
+  return cards
+    .map(card => card.cloze || card.question)
+    .filter(text => text && !seen.has(text) && seen.add(text))
+    .slice(0, EXISTING_CARDS_IN_PROMPT)
+    .map(text => `- ${text.replace(/\s+/g, ' ')}`)
+    .join('\n');
+}
+
+// Proposals get an id, the deck's page links and stay out of regeneration
+// merges like hand-added cards
+function toProposals(cards, deck, fields = {}) {
+  return cards.map(card => ({
+    ...card,
+    id: createCardId(),
+    ...fields,
+    ...(deck.links ? { source: { ...(card.source || {}), ...deck.links } } : {})
+  }));
+}
+
+// Up to `count` new cards for a page, avoiding what the deck already covers.
+// Resolves to { proposals, chunks, parseErrors }
+async function generateMoreCards(req, pageId, count) {
+  assertWithinUsageQuota(req);
+  const { userId, deck, content, chunks } = await loadDeckSource(req, pageId);
+  const { template: promptTemplate } = await resolvePromptTemplate(req, deck.sectionId);
+  
+  const chunkCount = chunks.length;
+  const existing = deck.cards.filter(card => !card.stale);
+  const instructions = `The deck already has cards for these notes. Create ${Math.ceil(count / chunkCount)} NEW cards about facts the existing cards don't cover. Don't repeat or rephrase any of these:\n${describeExistingCards(existing)}`;
+  
+  const result = await extractFlashcardsWithLLM(content, deck.pageTitle, {
+    userId,
+    userEmail: req.session.userEmail,
+    deckLLM: deck.llm || null,
+    promptTemplate,
+    extra: { cardsTarget: Math.ceil(count / chunkCount), instructions },
+    usageTask: 'generate-more'
+  });
+  
+  // Whatever survives deduplication against the deck is new
+  const kept = new Set(dedupeFlashcards([...existing, ...result.cards]));
+  const fresh = result.cards.filter(card => kept.has(card));
+  
+  // Count cloze siblings as one card, like the user sees them
+  const proposals = [];
+  const notes = new Set();
+  fresh.forEach(card => {
+    const note = card.cloze || card.question;
+    if (!notes.has(note) && notes.size >= count) return;
+    notes.add(note);
+    proposals.push(card);
+  });
+  
+  return {
+    proposals: toProposals(proposals, deck, { origin: 'on-demand' }),
+    chunks: result.chunks,
+    parseErrors: result.parseErrors
+  };
+}
+
+// The prompt for a new version of one card, from the notes around it
+function buildCardRewritePrompt(card, chunk, pageTitle, instruction) {
+  const current = card.type === 'cloze'
+    ? `Cloze: ${card.cloze}`
+    : `Question: ${card.question}\nAnswer: ${card.answer}`;
+  const task = instruction
+    ? `Rewrite the card following this instruction: ${instruction}`
+    : 'Write a better version of the card about the same fact: specific, unambiguous, answerable from the notes, with a concise answer.';
+  
+  return [
+    `You are improving one flashcard made from the notes on "${pageTitle}".`,
+    `Current card:\n${current}`,
+    `${task}\nKeep it a ${card.type === 'cloze' ? 'cloze card' : 'question/answer card'} unless the instruction asks for another kind. Return exactly one card.`,
+    SOURCE_REF_INSTRUCTIONS,
+    CLOZE_INSTRUCTIONS,
+    `Notes:\n${joinMarkdownBlocks(chunk.blocks, true)}`,
+    FLASHCARD_FORMAT_INSTRUCTIONS
+  ].join('\n\n');
+}
+
+// A new version of one card - regenerated, or rewritten with the user's
+// instruction. Resolves to { card, proposals } where proposals is the new
+// card (or its cloze siblings)
+async function rewriteCard(req, pageId, cardId, instruction = null) {
+  assertWithinUsageQuota(req);
+  const { userId, deck, chunks } = await loadDeckSource(req, pageId);
+  const card = deck.cards.find(other => other.id === cardId);
+  if (!card) {
+    throw createOnDemandError('Card not found', 'cardNotFound');
+  }
+  
+  // The chunk holding the paragraph the card came from, or the first one
+  const source = card.source || {};
+  const chunk = chunks.find(candidate => candidate.blocks.some(block =>
+    (source.dataId && block.dataId === source.dataId) || (!source.dataId && source.ref && block.ref === source.ref)
+  )) || chunks[0];
+  
+  const task = instruction ? 'rewrite-card' : 'regenerate-card';
+  const request = {
+    task,
+    prompt: buildCardRewritePrompt(card, chunk, deck.pageTitle, instruction),
+    input: { pageTitle: deck.pageTitle, notes: joinMarkdownBlocks(chunk.blocks, true), card, instruction },
+    schema: FLASHCARD_RESPONSE_SCHEMA
+  };
+  const options = { userId, deckLLM: deck.llm || null };
+  const usageTally = createUsageTally();
+  
+  try {
+    const response = await callLLM(request, options);
+    addToUsageTally(usageTally, response);
+    let result = parseFlashcardResponse(response.text);
+    let generatedBy = response;
+    
+    if (result.cards.length === 0) {
+      const repairResponse = await callLLM({ ...request, prompt: buildRepairPrompt(response.text, result.problems) }, options);
+      addToUsageTally(usageTally, repairResponse);
+      result = parseFlashcardResponse(repairResponse.text);
+      generatedBy = repairResponse;
+    }
+    
+    if (result.cards.length === 0) {
+      const error = createOnDemandError(`The model did not return a valid card: ${result.problems[0] || 'no cards'}`, 'invalidLLMOutput');
+      error.parseErrors = result.problems;
+      throw error;
+    }
+    
+    const provenance = {
+      provider: generatedBy.provider,
+      model: generatedBy.model,
+      promptVersion: `${task}-v${PROMPT_INSTRUCTIONS_VERSION}`,
+      sourceHash: computeChunkHash(chunk, chunks.indexOf(chunk), chunks.length, deck.pageTitle),
+      generatedAt: new Date().toISOString(),
+      ...(instruction ? { instruction } : {})
+    };
+    
+    const proposals = finishChunkCards(result.cards.slice(0, 1), chunk.blocks, provenance);
+    return { card, proposals: toProposals(proposals, deck) };
+  } finally {
+    recordUsage(userId, task, deck.pageTitle, usageTally, req.session.userEmail);
+  }
+}
+
+// ------ STUDY TUTOR ------
+
+// "Explain this" after an answer is revealed: the card and the part of the
+// page it came from go to the model, which explains the answer and takes
+// follow-up questions. The notes come from the notes cache, filled at sync
+// and import time
+const EXPLAIN_EXCERPT_WORDS = 400;
+const EXPLAIN_QUESTION_MAX_LENGTH = 500;
+const EXPLAIN_HISTORY_MAX_LENGTH = 20000;
+
+// Keep the converted blocks of a user's page (or imported document) - only
+// when the content changed, converting HTML isn't free
+function cachePageNotes(userId, pageId, content, contentHash = computeContentHash(content)) {
+  const cached = loadPageNotes(userId, pageId);
+  if (cached && cached.contentHash === contentHash) {
+    return;
+  }
+  
+  savePageNotes(userId, pageId, {
+    contentHash,
+    cachedAt: new Date().toISOString(),
+    blocks: contentToBlocks(content).map(({ ref, dataId, type, markdown, headingPath, group }) => ({
+      ref, dataId, type, markdown, headingPath, group
+    }))
+  });
+}
+
+// Cached notes go with their deck: archived decks (and decks that are gone)
+// lose them. Pass pageIds to drop just those of one user
+function pruneNotesCache(userId = null, pageIds = null) {
+  if (userId) {
+    pageIds.forEach(pageId => fs.rmSync(getPageNotesFile(userId, pageId), { force: true }));
+    return;
+  }
+  if (!fs.existsSync(NOTES_CACHE_DIR)) return;
+  
+  const keep = new Set();
+  Object.entries(loadFlashcards()).forEach(([deckUserId, decks]) => {
+    Object.entries(decks)
+      .filter(([, deck]) => !deck.archived)
+      .forEach(([pageId]) => keep.add(getPageNotesFile(deckUserId, pageId)));
+  });
+  
+  let removed = 0;
+  fs.readdirSync(NOTES_CACHE_DIR).forEach(userDir => {
+    fs.readdirSync(path.join(NOTES_CACHE_DIR, userDir)).forEach(name => {
+      const file = path.join(NOTES_CACHE_DIR, userDir, name);
+      if (!keep.has(file)) {
+        fs.rmSync(file, { force: true });
+        removed++;
+      }
+    });
+  });
+  if (removed > 0) {
+    console.log(`Removed cached notes of ${removed} archived or deleted deck(s)`);
+  }
+}
+
+// Notes used to be cached for everyone in one notes_cache.json - file them
+// under each user with a deck for the page
+function migrateNotesCache() {
+  const legacyFile = path.join(DB_PATH, 'notes_cache.json');
+  if (!fs.existsSync(legacyFile)) return;
+  
+  const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+  Object.entries(loadFlashcards()).forEach(([userId, decks]) => {
+    Object.keys(decks)
+      .filter(pageId => legacy[pageId])
+      .forEach(pageId => savePageNotes(userId, pageId, legacy[pageId]));
+  });
+  fs.rmSync(legacyFile);
+  console.log(`Moved ${Object.keys(legacy).length} cached page notes into ${NOTES_CACHE_DIR}`);
+}
+
+migrateNotesCache();
+pruneNotesCache();
+
+// The cached blocks of a deck's page, fetching the page once for decks
+// synced before notes were cached. Null when there is nothing to go on
+// (documents imported before then)
+async function getPageNotes(req, pageId, deck) {
+  const userId = req.session.userId || 'default-user';
+  const cached = loadPageNotes(userId, pageId);
+  if (cached) {
+    return cached.blocks;
+  }
+  if (deck.sourceType === 'document') {
+    return null;
+  }
+  
+  cachePageNotes(userId, pageId, await getPageContent(req, pageId));
+  return loadPageNotes(userId, pageId).blocks;
+}
+
+// The card's paragraph and what surrounds it, up to EXPLAIN_EXCERPT_WORDS.
+// Cards without a source paragraph get the one sharing most of their words
+function selectNotesExcerpt(blocks, card) {
+  if (!blocks || blocks.length === 0) {
+    return '';
+  }
+  
+  const source = card.source || {};
+  let center = blocks.findIndex(block =>
+    (source.dataId && block.dataId === source.dataId) || (!source.dataId && source.ref && block.ref === source.ref)
+  );
+  if (center === -1) {
+    const cardWords = wordSet([card.question, card.answer, card.cloze].filter(Boolean).join(' '));
+    let bestShared = 0;
+    center = 0;
+    blocks.forEach((block, index) => {
+      const blockWords = wordSet(block.markdown);
+      const shared = [...cardWords].filter(word => blockWords.has(word)).length;
+      if (shared > bestShared) {
+        bestShared = shared;
+        center = index;
+      }
+    });
+  }
+  
+  // Grow the excerpt a block at a time, alternating before and after
+  let start = center;
+  let end = center + 1;
+  let words = countWords(blocks[center].markdown);
+  while (words < EXPLAIN_EXCERPT_WORDS && (start > 0 || end < blocks.length)) {
+    const takeBefore = start > 0 && (end >= blocks.length || center - start <= end - center - 1);
+    const block = takeBefore ? blocks[--start] : blocks[end++];
+    words += countWords(block.markdown);
+  }
+  
+  const headingPath = blocks[center].headingPath || [];
+  const location = headingPath.length > 0 ? `(from the part headed: ${headingPath.join(' > ')})\n\n` : '';
+  return location + joinMarkdownBlocks(blocks.slice(start, end));
+}
+
+function buildExplainPrompt(card, pageTitle, excerpt, history, question) {
+  const cardText = card.type === 'cloze'
+    ? `Cloze card: ${card.cloze}\nHidden part: ${card.answer}`
+    : `Question: ${card.question}\nAnswer: ${card.answer}`;
+  const notes = excerpt
+    ? `From the student's notes on "${pageTitle}":\n${excerpt}`
+    : `The notes on "${pageTitle}" are not available - say so if your explanation goes beyond the card.`;
+  const conversation = history
+    .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${message.text}`)
+    .join('\n\n');
+  
+  return [
+    'You are a tutor. A student reviewing flashcards has just revealed the answer to this card and wants to understand why it is correct.',
+    cardText,
+    notes,
+    question
+      ? `The conversation so far:\n\n${conversation}\n\nAnswer the student's follow-up question: ${question}`
+      : 'Explain why the answer is correct: the reasoning or mechanism behind it and how it connects to the rest of the notes. Add a memorable way to recall it if there is one.',
+    'Base the explanation on the notes where you can and say when you go beyond them. Keep it under 200 words, in plain text with short paragraphs, no headings.'
+  ].join('\n\n');
+}
+
+// Checks everything that can fail before anything is streamed. Resolves to
+// what explainCard needs
+async function prepareExplanation(req, pageId, cardId, history = [], question = null) {
+  assertWithinUsageQuota(req);
+  
+  const userId = req.session.userId || 'default-user';
+  const deck = (loadFlashcards()[userId] || {})[pageId];
+  if (!deck) {
+    throw createOnDemandError('Deck not found', 'deckNotFound');
+  }
+  const card = deck.cards.find(other => other.id === cardId);
+  if (!card) {
+    throw createOnDemandError('Card not found', 'cardNotFound');
+  }
+  
+  const excerpt = selectNotesExcerpt(await getPageNotes(req, pageId, deck), card);
+  return {
+    userId,
+    deck,
+    request: {
+      task: 'explain',
+      prompt: buildExplainPrompt(card, deck.pageTitle, excerpt, history, question),
+      input: { card, pageTitle: deck.pageTitle, notes: excerpt, history, question }
+    }
+  };
+}
+
+// Streams the explanation (or the answer to a follow-up) to onText until
+// done or `signal` aborts. Resolves to { text, provider, model }. A stream
+// that fails or is cut off still counts: its usage is estimated from the
+// prompt and the text that had arrived
+async function explainCard(req, prepared, onText, signal = null) {
+  const { userId, deck, request } = prepared;
+  const usageTally = createUsageTally();
+  
+  try {
+    const response = await streamLLM({ ...request, signal }, onText, { userId, deckLLM: deck.llm || null });
+    addToUsageTally(usageTally, response);
+    return { text: response.text, provider: response.provider, model: response.model };
+  } catch (error) {
+    if (error.partial && error.partial.provider) {
+      addToUsageTally(usageTally, { ...error.partial, usage: estimateUsage(request.prompt, error.partial.text) });
+    }
+    throw error;
+  } finally {
+    recordUsage(userId, 'explain', deck.pageTitle, usageTally, req.session.userEmail);
+  }
+}
+
+// ------ ONENOTE WRITEBACK ------
+
+// data-id of the element holding the written cards, so later syncs can
+// replace it in place (and the converter can leave it out of the notes)
+const WRITEBACK_OUTLINE_ID = 'onenote-flashcards';
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getFlashcardsPageTitle(pageTitle) {
+  return `Flashcards – ${pageTitle}`;
+}
+
+// Cards as a nested list - OneNote lets the user collapse each question
+// to hide its answer
+function buildFlashcardsOutlineHtml(cards) {
+  // Cloze siblings are written once, with the deletions in bold
+  const writtenClozes = new Set();
+  const items = cards
+    .filter(card => card && !card.suspended && !card.stale)
+    .filter(card => {
+      if (card.type !== 'cloze') return true;
+      if (writtenClozes.has(card.cloze)) return false;
+      writtenClozes.add(card.cloze);
+      return true;
+    })
+    .map(card => card.type === 'cloze'
+      ? `<li>${escapeHtml(card.cloze).replace(CLOZE_PATTERN, (match, n, content) => `<b>${content}</b>`)}</li>`
+      : `<li>${escapeHtml(card.question)}<ul><li>${escapeHtml(card.answer)}</li></ul></li>`)
+    .join('');
+  
+  return `<div data-id="${WRITEBACK_OUTLINE_ID}"><p><b>Flashcards</b> (${cards.length})</p><ul>${items}</ul></div>`;
+}
+
+// Write a deck to OneNote - either as its own "Flashcards – <title>" page in
+// the deck's section, or as an outline appended to the source page. The
+// written page is recorded on the deck so later syncs update it in place
+async function writeFlashcardsToOneNote(req, pageId, mode = 'page') {
+  if (!noteSource.supportsWriteback) {
+    const error = new Error(`Writing flashcards back is not supported by the ${noteSource.name} note source`);
+    error.code = 'writebackNotSupported';
+    throw error;
+  }
+  if (!req.session.writebackGranted) {
+    const error = new Error('Writing to OneNote needs the Notes.ReadWrite permission. Sign in again to grant it.');
+    error.code = 'writebackNotGranted';
+    throw error;
+  }
+  
+  const userId = req.session.userId || 'default-user';
+  const allFlashcards = loadFlashcards();
+  const deck = allFlashcards[userId] && allFlashcards[userId][pageId];
+  if (!deck) {
+    throw new Error(`No flashcards found for page ${pageId}`);
+  }
+  
+  const outline = buildFlashcardsOutlineHtml(deck.cards || []);
+  const previous = deck.writeback && deck.writeback.mode === mode ? deck.writeback : null;
+  let targetPageId = mode === 'append' ? pageId : previous && previous.pageId;
+  
+  // Update the outline we wrote last time, if it's still there
+  let updated = false;
+  if (targetPageId && previous) {
+    try {
+      const commands = [{ target: `#${WRITEBACK_OUTLINE_ID}`, action: 'replace', content: outline }];
+      if (mode === 'page') {
+        commands.push({ target: 'title', action: 'replace', content: getFlashcardsPageTitle(deck.pageTitle) });
+      }
+      await callGraphAPI(req, `/me/onenote/pages/${targetPageId}/content`, { method: 'PATCH', data: commands });
+      updated = true;
+    } catch (error) {
+      // The user deleted the page or the outline - write it again below
+      if (error.status !== 404 && error.status !== 400) throw error;
+      console.log(`Written flashcards for page ${pageId} are gone, writing them again`);
+    }
+  }
+  
+  if (!updated && mode === 'append') {
+    await callGraphAPI(req, `/me/onenote/pages/${pageId}/content`, {
+      method: 'PATCH',
+      data: [{ target: 'body', action: 'append', content: outline }]
+    });
+  } else if (!updated) {
+    if (!deck.sectionId) {
+      throw new Error(`Page ${pageId} has no known section to write flashcards to`);
+    }
+    const html = `<!DOCTYPE html><html><head><title>${escapeHtml(getFlashcardsPageTitle(deck.pageTitle))}</title></head>` +
+      `<body>${outline}</body></html>`;
+    const created = await callGraphAPI(req, `/me/onenote/sections/${deck.sectionId}/pages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/html' },
+      data: html
+    });
+    targetPageId = created.id;
+  }
+  
+  // Appending changed the source page's timestamp - record it so the next
+  // sync doesn't take our own edit for a content change
+  if (mode === 'append') {
+    const page = await callGraphAPI(req, `/me/onenote/pages/${pageId}`, {
+      params: { '$select': 'id,lastModifiedDateTime' }
+    });
+    const pageCache = loadPageCache();
+    if (pageCache[userId] && pageCache[userId][pageId]) {
+      pageCache[userId][pageId].lastModifiedDateTime = page.lastModifiedDateTime;
+      savePageCache(pageCache);
+    }
+  }
+  
+  // Reload - the deck may have been saved while we were talking to Graph
+  const latest = loadFlashcards();
+  if (latest[userId] && latest[userId][pageId]) {
+    latest[userId][pageId].writeback = {
+      mode,
+      pageId: targetPageId,
+      writtenAt: new Date().toISOString()
+    };
+    saveFlashcards(latest);
+  }
+  
+  return { pageId, mode, writtenPageId: targetPageId, updated };
+}
+
+// Write a synced deck back to OneNote if the user opted in - after every
+// regeneration, or once for decks that were never written. Failures are
+// reported on the page result instead of failing the sync
+async function writeBackAfterSync(req, pageId, regenerated) {
+  const userId = req.session.userId || 'default-user';
+  const { writeback } = getUserSettings(userId);
+  if (!writeback.enabled || !req.session.writebackGranted) return {};
+  
+  const deck = (loadFlashcards()[userId] || {})[pageId];
+  const alreadyWritten = deck && deck.writeback && deck.writeback.mode === writeback.mode;
+  if (!deck || (!regenerated && alreadyWritten)) return {};
+  
+  try {
+    const result = await writeFlashcardsToOneNote(req, pageId, writeback.mode);
+    return { writtenPageId: result.writtenPageId };
+  } catch (error) {
+    console.error(`Error writing flashcards back for page ${pageId}:`, error);
+    return { writebackError: error.message };
+  }
+}
+
+// IDs of pages we created for writeback, so sync doesn't turn them into decks
+function getWritebackPageIds(userId) {
+  const decks = loadFlashcards()[userId] || {};
+  return new Set(Object.values(decks)
+    .filter(deck => deck.writeback && deck.writeback.mode === 'page' && deck.writeback.pageId)
+    .map(deck => deck.writeback.pageId));
+}
+
+// ------ DOCUMENT IMPORT ------
+
+const IMPORT_MAX_FILE_SIZE = 20 * 1024 * 1024;
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.txt', '.pdf', '.docx'];
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_SIZE },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      const error = new Error(`Unsupported file type "${extension}". Use ${IMPORT_EXTENSIONS.join(', ')}`);
+      error.code = 'unsupportedFileType';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+// Turn an uploaded file into something extractFlashcardsWithLLM understands.
+// HTML-ish formats are handed over as an HTML document so they go through
+// the same structure-preserving conversion as OneNote pages
+async function extractDocumentContent(file) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  
+  switch (extension) {
+    case '.md':
+    case '.markdown':
+    case '.txt':
+      return file.buffer.toString('utf8');
+    case '.html':
+    case '.htm': {
+      const html = file.buffer.toString('utf8');
+      return html.includes('<html') ? html : `<html><body>${html}</body></html>`;
+    }
+    case '.docx': {
+      const result = await mammoth.convertToHtml({ buffer: file.buffer });
+      return `<html><body>${result.value}</body></html>`;
+    }
+    case '.pdf': {
+      const result = await pdfParse(file.buffer);
+      return result.text;
+    }
+    default:
+      throw new Error(`Unsupported file type "${extension}"`);
+  }
+}
+
+// Generate a deck from an uploaded document. Decks live next to the OneNote
+// ones, keyed by a document ID derived from the file contents - uploading
+// the same file again doesn't regenerate it
+async function importDocument(req, file, title = null) {
+  const userId = req.session.userId || 'default-user';
+  const documentId = `doc-${crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 24)}`;
+  const pageTitle = title || path.basename(file.originalname, path.extname(file.originalname));
+  
+  const existing = (loadFlashcards()[userId] || {})[documentId];
+  if (existing && !existing.archived && existing.cards.length > 0) {
+    return { documentId, pageTitle: existing.pageTitle, status: 'skipped', cards: existing.cards.length };
+  }
+  
+  assertWithinUsageQuota(req);
+  
+  const content = await extractDocumentContent(file);
+  const textContent = content.includes('<html') ? extractTextFromOneNoteHtml(content) : content;
+  if (!textContent.trim()) {
+    const error = new Error(`No text found in "${file.originalname}"`);
+    error.code = 'emptyDocument';
+    throw error;
+  }
+  
+  console.log(`Generating flashcards for document "${pageTitle}"...`);
+  const { template: promptTemplate } = await resolvePromptTemplate(req);
+  const { cards: generated, chunks, cachedChunks, parseErrors } = await extractFlashcardsWithLLM(content, pageTitle, {
+    userId,
+    userEmail: req.session.userEmail,
+    deckLLM: existing ? existing.llm : null,
+    promptTemplate
+  });
+  console.log(`Generated ${generated.length} flashcards for document "${pageTitle}" (${chunks} chunk${chunks === 1 ? '' : 's'})`);
+  
+  const flashcards = generated.map(card => ({
+    ...card,
+    source: { ...(card.source || {}), documentId, documentName: file.originalname }
+  }));
+  
+  const allFlashcards = loadFlashcards();
+  if (!allFlashcards[userId]) {
+    allFlashcards[userId] = {};
+  }
+  const existingDeck = allFlashcards[userId][documentId] || {};
+  const merge = mergeRegeneratedCards(existingDeck.cards || [], flashcards);
+  allFlashcards[userId][documentId] = {
+    ...existingDeck,
+    pageTitle,
+    sourceType: 'document',
+    documentName: file.originalname,
+    sectionId: null,
+    archived: false,
+    lastUpdated: new Date().toISOString(),
+    cards: merge.cards
+  };
+  saveFlashcards(allFlashcards);
+  
+  // Imported documents aren't kept - the cached notes are all the tutor gets
+  cachePageNotes(userId, documentId, content);
+  
+  return { documentId, pageTitle, status: 'regenerated', cards: flashcards.length, chunks, cachedChunks, parseErrors };
+}
+
+// The page cache holds each user's change fingerprints as
+// { userId: { pageId: { contentHash, lastModifiedDateTime, promptHash, model, lastSync } } }.
+// Entries are written one at a time on a fresh copy, since syncs of
+// different sections can overlap
+function updatePageCacheEntry(userId, pageId, fields) {
+  const pageCache = loadPageCache();
+  pageCache[userId] = pageCache[userId] || {};
+  pageCache[userId][pageId] = { ...pageCache[userId][pageId], ...fields };
+  savePageCache(pageCache);
+}
+
+// Older caches were keyed by page alone - file each entry under every user
+// with a deck for the page
+function migratePageCache() {
+  const pageCache = loadPageCache();
+  const legacyPageIds = Object.keys(pageCache).filter(key => typeof pageCache[key].lastSync === 'string');
+  if (legacyPageIds.length === 0) return;
+  
+  const allFlashcards = loadFlashcards();
+  legacyPageIds.forEach(pageId => {
+    Object.keys(allFlashcards).forEach(userId => {
+      if (allFlashcards[userId][pageId]) {
+        pageCache[userId] = pageCache[userId] || {};
+        pageCache[userId][pageId] = pageCache[pageId];
+      }
+    });
+    delete pageCache[pageId];
+  });
+  savePageCache(pageCache);
+  console.log(`Moved ${legacyPageIds.length} page cache entries under their users`);
+}
+
+migratePageCache();
+
+// Optimized sync logic for large note collections
+// Returns a per-page result: { pageId, pageTitle, status, cards, error }
+// where status is 'skipped', 'regenerated' or 'failed'
+// Pass `prefetched` ({ content } or { error } from a $batch fetch) to skip
+// the per-page content request, `links` (see getPageLinks) to record
+// where the page opens in OneNote, and `force` to regenerate an unchanged page
+async function syncOneNotePage(req, pageId, pageTitle, lastModifiedDateTime = null, sectionId = null, prefetched = null, links = null, force = false) {
+  try {
+    // Get current page content
+    if (prefetched && prefetched.error) {
+      throw prefetched.error;
+    }
+    const content = prefetched ? prefetched.content : await getPageContent(req, pageId);
+    const contentHash = computeContentHash(content);
+    
+    // The prompt and model the page would be generated with now - the deck
+    // may pin its own model
+    const userId = req.session.userId || 'default-user';
+    const currentDeck = (loadFlashcards()[userId] || {})[pageId];
+    const { template: promptTemplate } = await resolvePromptTemplate(req, sectionId || (currentDeck && currentDeck.sectionId));
+    const promptHash = crypto.createHash('sha256').update(promptTemplate).digest('hex').slice(0, 16);
+    const llmChoice = resolveLLMChoice(userId, currentDeck ? currentDeck.llm : null);
+    const model = `${llmChoice.provider}/${llmChoice.model}`;
+    
+    // Check if page has changed - the Graph timestamp, the content
+    // fingerprint, the prompt template and the model all have to match the
+    // cached values to skip generation. The cache is per user, and a user
+    // without a deck for the page gets one even if someone else already
+    // synced it
+    const cached = (loadPageCache()[userId] || {})[pageId];
+    const hasChanged = force || !currentDeck || !cached ||
+      cached.contentHash !== contentHash ||
+      cached.lastModifiedDateTime !== lastModifiedDateTime ||
+      cached.promptHash !== promptHash ||
+      cached.model !== model;
+    
+    // The study tutor quotes the notes without fetching the page again
+    cachePageNotes(userId, pageId, content, contentHash);
+    
+    if (!hasChanged) {
+      console.log(`Page "${pageTitle}" has not changed, skipping generation.`);
+      
+      // Links can change without the content changing (page moved)
+      if (links) {
+        const allFlashcards = loadFlashcards();
+        const deck = allFlashcards[userId] && allFlashcards[userId][pageId];
+        if (deck && JSON.stringify(deck.links) !== JSON.stringify(links)) {
+          deck.links = links;
+          saveFlashcards(allFlashcards);
+        }
+      }
+      
+      updatePageCacheEntry(userId, pageId, { lastSync: new Date().toISOString() });
+      
+      const skipped = { pageId, pageTitle, status: 'skipped', cards: 0 };
+      return { ...skipped, ...(await writeBackAfterSync(req, pageId, false)) };
+    }
+    
+    console.log(`Processing page "${pageTitle}" (ID: ${pageId})`);
+    
+    // The quota can run out part-way through a section - the page fails and
+    // is retried by a later sync
+    assertWithinUsageQuota(req);
+    
+    // Extract flashcards with LLM
+    console.log(`Generating flashcards for "${pageTitle}"...`);
+    const { cards: generated, chunks, cachedChunks, parseErrors } = await extractFlashcardsWithLLM(content, pageTitle, {
+      userId,
+      userEmail: req.session.userEmail,
+      deckLLM: currentDeck ? currentDeck.llm : null,
+      promptTemplate
+    });
+    console.log(`Generated ${generated.length} flashcards for "${pageTitle}" (${chunks} chunk${chunks === 1 ? '' : 's'})`);
+    
+    // Every card remembers which page (and paragraph) it came from
+    const flashcards = links
+      ? generated.map(card => ({ ...card, source: { ...(card.source || {}), ...links } }))
+      : generated;
+    
+    // Store flashcards - organize by user ID if available
+    const allFlashcards = loadFlashcards();
+    
+    // Initialize user's flashcards if not exists
+    if (!allFlashcards[userId]) {
+      allFlashcards[userId] = {};
+    }
+    
+    // Keep deck metadata (section membership, archive state) across
+    // regenerations, and merge the cards so edits and scheduling survive
+    const existingDeck = allFlashcards[userId][pageId] || {};
+    const merge = mergeRegeneratedCards(existingDeck.cards || [], flashcards);
+    allFlashcards[userId][pageId] = {
+      ...existingDeck,
+      pageTitle,
+      sectionId: sectionId || existingDeck.sectionId || null,
+      links: links || existingDeck.links || null,
+      lastUpdated: new Date().toISOString(),
+      cards: merge.cards
+    };
+    saveFlashcards(allFlashcards);
+    console.log(`Merged "${pageTitle}": ${merge.stats.updated} updated, ${merge.stats.kept} edited kept, ${merge.stats.added} added, ${merge.stats.stale} stale`);
+    
+    // Update page cache - store the fingerprint used for change detection
+    updatePageCacheEntry(userId, pageId, {
+      contentHash,
+      lastModifiedDateTime,
+      promptHash,
+      model,
+      lastSync: new Date().toISOString()
+    });
+    
+    const regenerated = { pageId, pageTitle, status: 'regenerated', cards: flashcards.length, chunks, cachedChunks, parseErrors, merge: merge.stats };
+    return { ...regenerated, ...(await writeBackAfterSync(req, pageId, true)) };
+  } catch (error) {
+    console.error(`Error syncing page ${pageId}:`, error);
+    return {
+      pageId,
+      pageTitle,
+      status: 'failed',
+      cards: 0,
+      error: error.message,
+      errorCode: error.code || null,
+      errorStatus: error.status || null,
+      parseErrors: error.parseErrors || []
+    };
+  }
+}
+
+// Decks with generated cards from an older prompt version than the one
+// their page would get now - the template was changed, or the built-in
+// instructions were. Imported documents aren't kept, so they can't be
+// regenerated. Resolves to [{ pageId, pageTitle, outdatedCards, cards, promptVersion }]
+async function findOutdatedDecks(req) {
+  const userId = req.session.userId || 'default-user';
+  const userDecks = loadFlashcards()[userId] || {};
+  const outdated = [];
+  
+  for (const [pageId, deck] of Object.entries(userDecks)) {
+    if (deck.archived || deck.sourceType === 'document') continue;
+    
+    const { template } = await resolvePromptTemplate(req, deck.sectionId);
+    const promptVersion = getPromptVersion(template);
+    const outdatedCards = deck.cards.filter(card =>
+      !card.stale && card.provenance && card.provenance.promptVersion !== promptVersion
+    ).length;
+    if (outdatedCards > 0) {
+      outdated.push({ pageId, pageTitle: deck.pageTitle, outdatedCards, cards: deck.cards.length, promptVersion });
+    }
+  }
+  
+  return outdated;
+}
+
+// Look up where a page lives now; resolves to null when it no longer exists
+async function getPageLocation(req, pageId) {
+  return noteSource.getPageLocation(req, pageId);
+}
+
+// Compare a section's complete page listing with the stored decks. Renamed
+// and moved pages get their metadata updated; decks whose page vanished are
+// archived (cards and review data kept) so they can be restored later.
+async function reconcileSectionPages(req, sectionId, pages) {
+  const userId = req.session.userId || 'default-user';
+  const userDecks = loadFlashcards()[userId] || {};
+  const result = { renamed: [], moved: [], archived: [], restored: [] };
+  const listedPageIds = new Set();
+  
+  // Changes are collected per deck and applied to a fresh copy at the end,
+  // since decks may be saved while we wait on Graph. A field set to
+  // undefined is removed
+  const updates = {};
+  const updateDeck = (pageId, fields) => {
+    Object.assign(userDecks[pageId], fields);
+    updates[pageId] = { ...updates[pageId], ...fields };
+  };
+  
+  pages.forEach(page => {
+    listedPageIds.add(page.id);
+    const deck = userDecks[page.id];
+    if (!deck) return;
+    
+    if (deck.pageTitle !== page.title) {
+      result.renamed.push({ pageId: page.id, from: deck.pageTitle, to: page.title });
+      updateDeck(page.id, { pageTitle: page.title });
+    }
+    
+    if (deck.sectionId && deck.sectionId !== sectionId) {
+      result.moved.push({ pageId: page.id, pageTitle: page.title, from: deck.sectionId, to: sectionId });
+    }
+    if (deck.sectionId !== sectionId) {
+      updateDeck(page.id, { sectionId });
+    }
+    
+    // The page is back (e.g. restored from the OneNote recycle bin)
+    if (deck.archived) {
+      result.restored.push({ pageId: page.id, pageTitle: page.title });
+      updateDeck(page.id, { archived: false, archivedAt: undefined, archiveReason: undefined });
+    }
+    if (deck.restoredAt) {
+      updateDeck(page.id, { restoredAt: undefined });
+    }
+  });
+  
+  // Decks we attributed to this section whose page is no longer listed. Decks
+  // from before sections were recorded have no sectionId at all (imported
+  // documents have null) - their page is looked up once to place or archive
+  // them. Decks the user restored after their page was deleted stay
+  const missingPageIds = Object.keys(userDecks).filter(pageId => {
+    const deck = userDecks[pageId];
+    return (deck.sectionId === sectionId || deck.sectionId === undefined) &&
+      !deck.archived &&
+      !deck.restoredAt &&
+      !listedPageIds.has(pageId);
+  });
+  
+  for (const pageId of missingPageIds) {
+    const deck = userDecks[pageId];
+    const page = await getPageLocation(req, pageId);
+    
+    if (page && page.parentSection) {
+      if (deck.sectionId !== undefined) {
+        result.moved.push({ pageId, pageTitle: page.title, from: sectionId, to: page.parentSection.id });
+      }
+      updateDeck(pageId, { sectionId: page.parentSection.id });
+      if (page.title && page.title !== deck.pageTitle) {
+        result.renamed.push({ pageId, from: deck.pageTitle, to: page.title });
+        updateDeck(pageId, { pageTitle: page.title });
+      }
+    } else {
+      result.archived.push({ pageId, pageTitle: deck.pageTitle });
+      updateDeck(pageId, { archived: true, archivedAt: new Date().toISOString(), archiveReason: 'deleted' });
+    }
+  }
+  
+  if (result.archived.length > 0) {
+    pruneNotesCache(userId, result.archived.map(page => page.pageId));
+  }
+  
+  if (Object.keys(updates).length > 0) {
+    const allFlashcards = loadFlashcards();
+    const latestDecks = allFlashcards[userId] || {};
+    Object.entries(updates).forEach(([pageId, fields]) => {
+      if (latestDecks[pageId]) {
+        Object.assign(latestDecks[pageId], fields);
+      }
+    });
+    saveFlashcards(allFlashcards);
+  }
+  
+  // Pages moving between sections may mean a section moved notebook
+  if (result.moved.length > 0) {
+    forgetSectionNotebooks(result.moved.flatMap(move => [move.from, move.to]));
+  }
+  
+  console.log(`Reconciled section ${sectionId}: ${result.renamed.length} renamed, ${result.moved.length} moved, ${result.archived.length} archived, ${result.restored.length} restored`);
+  return result;
+}
+
+// ------ PAGE SYNC STATE ------
+
+// Pages that failed - or were cut off by a crash or restart - stay queued in
+// sync_info.json and are retried on the next sync of their section, up to
+// SYNC_MAX_PAGE_ATTEMPTS times. A full sync always picks them up again
+const SYNC_MAX_PAGE_ATTEMPTS = parseInt(process.env.SYNC_MAX_PAGE_ATTEMPTS || '5', 10);
+
+function isQueuedForRetry(state) {
+  return (state.status === 'pending' || state.status === 'failed') && state.attempts < SYNC_MAX_PAGE_ATTEMPTS;
+}
+
+// Apply per-page state changes for one section ({ pageId: state } or
+// { pageId: null } to forget a page). Re-reads the file each time so
+// concurrent section syncs don't overwrite each other's checkpoints
+function updatePageSyncStates(sectionId, updates) {
+  const syncInfo = loadSyncInfo();
+  const sectionInfo = syncInfo[sectionId] || (syncInfo[sectionId] = {});
+  const pageStates = sectionInfo.pageStates || (sectionInfo.pageStates = {});
+  const updatedAt = new Date().toISOString();
+  
+  Object.entries(updates).forEach(([pageId, state]) => {
+    if (state === null) {
+      delete pageStates[pageId];
+    } else {
+      pageStates[pageId] = { ...state, updatedAt };
+    }
+  });
+  
+  saveSyncInfo(syncInfo);
+}
+
+function getPageSyncStates(sectionId) {
+  const sectionInfo = loadSyncInfo()[sectionId];
+  return (sectionInfo && sectionInfo.pageStates) || {};
+}
+
+// Pages a previous run left failed or unfinished, shaped like a page listing
+function getRetryQueue(sectionId) {
+  return Object.entries(getPageSyncStates(sectionId))
+    .filter(([, state]) => isQueuedForRetry(state))
+    .map(([pageId, state]) => ({
+      id: pageId,
+      title: state.title,
+      lastModifiedDateTime: state.lastModifiedDateTime || null,
+      links: state.links || null,
+      retry: true
+    }));
+}
+
+// Failed pages of a section, for the sync log
+function getFailedPages(sectionId) {
+  return Object.entries(getPageSyncStates(sectionId))
+    .filter(([, state]) => state.status === 'failed')
+    .map(([pageId, state]) => ({
+      sectionId,
+      pageId,
+      pageTitle: state.title,
+      attempts: state.attempts,
+      error: state.error,
+      errorCode: state.errorCode || null,
+      willRetry: isQueuedForRetry(state),
+      updatedAt: state.updatedAt
+    }));
+}
+
+// Roll per-page results up into the shape returned by the sync routes
+function summarizeSyncResults(pageResults) {
+  const summary = { skipped: 0, regenerated: 0, failed: 0 };
+  let cardsUpdated = 0;
+  
+  pageResults.forEach(result => {
+    summary[result.status]++;
+    cardsUpdated += result.cards;
+  });
+  
+  return { cardsUpdated, summary, pages: pageResults };
+}
+
+async function syncOneNoteSection(req, sectionId, forceFull = false) {
+  try {
+    console.log(`Syncing section ${sectionId}...`);
+    
+    // Don't start on a section once the user's LLM quota is used up
+    assertWithinUsageQuota(req);
+    
+    // Get last sync time for incremental sync
+    const syncInfo = loadSyncInfo();
+    let lastSyncTime = null;
+    
+    if (!forceFull && syncInfo[sectionId] && syncInfo[sectionId].lastSyncTime) {
+      lastSyncTime = new Date(syncInfo[sectionId].lastSyncTime).toISOString();
+      console.log(`Last sync time for section ${sectionId}: ${lastSyncTime}`);
+    }
+    
+    // The cursor for the next sync - taken before listing so edits made
+    // while this run is in progress are picked up next time
+    const runStartedAt = new Date().toISOString();
+    
+    // Get pages modified since last sync or all pages if no previous sync -
+    // minus the flashcard pages we wrote there ourselves
+    const writebackPageIds = getWritebackPageIds(req.session.userId || 'default-user');
+    const listedPages = (await getOneNotePages(req, sectionId, lastSyncTime))
+      .filter(page => !writebackPageIds.has(page.id));
+    
+    // Pages earlier runs didn't finish come along even if unchanged since
+    const listedPageIds = new Set(listedPages.map(page => page.id));
+    const retryPages = getRetryQueue(sectionId).filter(page => !listedPageIds.has(page.id));
+    const pages = listedPages.concat(retryPages);
+    console.log(`Found ${listedPages.length} pages to process in section ${sectionId}` +
+      (retryPages.length > 0 ? `, retrying ${retryPages.length} from earlier syncs` : ''));
+    
+    // Checkpoint: everything is pending until it has been processed. The
+    // attempt count restarts when the page itself changed
+    const previousStates = getPageSyncStates(sectionId);
+    const pendingStates = {};
+    pages.forEach(page => {
+      const previous = previousStates[page.id];
+      const sameVersion = previous && previous.lastModifiedDateTime === page.lastModifiedDateTime;
+      pendingStates[page.id] = {
+        status: 'pending',
+        title: page.title,
+        lastModifiedDateTime: page.lastModifiedDateTime || null,
+        links: page.links || null,
+        attempts: (sameVersion && previous.status !== 'done' ? previous.attempts || 0 : 0) + 1
+      };
+    });
+    updatePageSyncStates(sectionId, pendingStates);
+    
+    // A full listing lets us spot pages that were renamed, moved or deleted
+    let reconciliation = null;
+    if (forceFull) {
+      reconciliation = await reconcileSectionPages(req, sectionId, listedPages);
+      
+      // Pages that left this section are no longer its to retry
+      const departed = {};
+      reconciliation.archived.forEach(page => { departed[page.pageId] = null; });
+      reconciliation.moved
+        .filter(page => page.from === sectionId)
+        .forEach(page => { departed[page.pageId] = null; });
+      updatePageSyncStates(sectionId, departed);
+    }
+    
+    // Process found pages - content is fetched 20 pages per $batch request,
+    // and the next batch downloads while the LLM works on the current one
+    const pageResults = [];
+    const batches = [];
+    for (let i = 0; i < pages.length; i += GRAPH_BATCH_SIZE) {
+      batches.push(pages.slice(i, i + GRAPH_BATCH_SIZE));
+    }
+    
+    const throttle = createBatchThrottle();
+    const timing = { fetchMs: 0, generateMs: 0 };
+    const syncStarted = Date.now();
+    
+    const fetchBatch = async (batch) => {
+      const fetchStarted = Date.now();
+      try {
+        return await noteSource.getPageContents(req, batch.map(page => page.id), throttle);
+      } catch (error) {
+        // The whole batch request failed - mark every page in it as failed
+        return new Map(batch.map(page => [page.id, { error }]));
+      } finally {
+        timing.fetchMs += Date.now() - fetchStarted;
+      }
+    };
+    
+    let nextFetch = batches.length > 0 ? fetchBatch(batches[0]) : null;
+    
+    for (let i = 0; i < batches.length; i++) {
+      console.log(`Processing batch ${i + 1} of ${batches.length}`);
+      const contents = await nextFetch;
+      nextFetch = i + 1 < batches.length ? fetchBatch(batches[i + 1]) : null;
+      
+      const generateStarted = Date.now();
+      for (const page of batches[i]) {
+        const pageResult = await syncOneNotePage(
+          req, page.id, page.title, page.lastModifiedDateTime, sectionId, contents.get(page.id) || null, getPageLinks(page)
+        );
+        pageResults.push(checkpointPageResult(sectionId, pendingStates[page.id], pageResult, page.retry));
+      }
+      timing.generateMs += Date.now() - generateStarted;
+    }
+    
+    timing.totalMs = Date.now() - syncStarted;
+    timing.batches = batches.length;
+    timing.throttledRequests = throttle.throttledRequests;
+    timing.pagesPerMinute = timing.totalMs > 0 ? Math.round(pages.length / (timing.totalMs / 60000)) : pages.length;
+    console.log(`Section ${sectionId}: ${pages.length} pages in ${batches.length} batches, ` +
+      `fetch ${timing.fetchMs}ms, generation ${timing.generateMs}ms, total ${timing.totalMs}ms`);
+    
+    // Every page is done or queued for retry - safe to move the cursor
+    const latestSyncInfo = loadSyncInfo();
+    latestSyncInfo[sectionId] = {
+      ...latestSyncInfo[sectionId],
+      lastSyncTime: runStartedAt,
+      pages: pages.length
+    };
+    saveSyncInfo(latestSyncInfo);
+    
+    return {
+      ...summarizeSyncResults(pageResults),
+      reconciliation,
+      timing,
+      retried: retryPages.length,
+      failedPages: getFailedPages(sectionId)
+    };
+  } catch (error) {
+    // Listing the section failed - report it instead of pretending it had no cards
     console.error(`Error syncing section ${sectionId}:`, error);
-    return 0;
+    return { ...summarizeSyncResults([]), error: describeSyncError(error), failedPages: getFailedPages(sectionId) };
+  }
+}
+
+// Record how a page's sync went and annotate its result with the attempt
+// count and whether it will be retried
+function checkpointPageResult(sectionId, pendingState, pageResult, retry = false) {
+  let state;
+  if (pageResult.status !== 'failed') {
+    state = {
+      status: 'done',
+      title: pageResult.pageTitle,
+      lastModifiedDateTime: pendingState.lastModifiedDateTime,
+      attempts: 0
+    };
+  } else if (pageResult.errorStatus === 404) {
+    // The page is gone - reconciliation takes care of its deck
+    state = null;
+  } else {
+    state = {
+      ...pendingState,
+      status: 'failed',
+      error: pageResult.error,
+      errorCode: pageResult.errorCode || null
+    };
+  }
+  updatePageSyncStates(sectionId, { [pageResult.pageId]: state });
+  
+  return {
+    ...pageResult,
+    retry,
+    attempts: pendingState.attempts,
+    ...(pageResult.status === 'failed' ? { willRetry: !!state && isQueuedForRetry(state) } : {})
+  };
+}
+
+// Sync a list of sections one after another, collecting per-section results
+async function syncSections(req, sections) {
+  const sectionResults = [];
+  let allPageResults = [];
+  let failedPages = [];
+  
+  for (const section of sections) {
+    const result = await syncOneNoteSection(req, section.id);
+    allPageResults = allPageResults.concat(result.pages);
+    failedPages = failedPages.concat(result.failedPages || []);
+    sectionResults.push({
+      sectionId: section.id,
+      displayName: section.displayName,
+      path: section.path || [],
+      cardsUpdated: result.cardsUpdated,
+      summary: result.summary,
+      timing: result.timing || null,
+      error: result.error || null
+    });
+  }
+  
+  return {
+    ...summarizeSyncResults(allPageResults),
+    sections: sectionResults,
+    failedPages
+  };
+}
+
+// Sync every section under a section group, including nested groups
+async function syncSectionGroup(req, sectionGroupId) {
+  console.log(`Syncing section group ${sectionGroupId}...`);
+  
+  const sectionGroup = await getOneNoteSectionGroup(req, sectionGroupId);
+  const tree = await getSectionGroupTree(req, sectionGroup);
+  const sections = flattenSectionTree(tree);
+  console.log(`Found ${sections.length} sections under section group "${tree.displayName}"`);
+  
+  return await syncSections(req, sections);
+}
+
+// Sync every section in a notebook, including those nested in section groups
+async function syncNotebook(req, notebookId) {
+  console.log(`Syncing notebook ${notebookId}...`);
+  
+  const tree = await getNotebookTree(req, notebookId);
+  const sections = flattenSectionTree(tree);
+  console.log(`Found ${sections.length} sections in notebook ${notebookId}`);
+  
+  return await syncSections(req, sections);
+}
+
+// Resolve a subscription (notebook, section group or section) to its sections
+async function resolveSubscriptionSections(req, subscription) {
+  switch (subscription.type) {
+    case 'notebook':
+      return flattenSectionTree(await getNotebookTree(req, subscription.id));
+    case 'sectionGroup': {
+      const sectionGroup = await getOneNoteSectionGroup(req, subscription.id);
+      return flattenSectionTree(await getSectionGroupTree(req, sectionGroup));
+    }
+    case 'section':
+      return [{ id: subscription.id, displayName: subscription.displayName, path: [] }];
+    default:
+      throw new Error(`Unknown subscription type: ${subscription.type}`);
+  }
+}
+
+// Sync everything a user has subscribed to - each section is synced once
+// even when several subscriptions overlap
+async function syncSubscriptions(req) {
+  const userId = req.session.userId || 'default-user';
+  const subscriptions = loadSubscriptions()[userId] || [];
+  console.log(`Syncing ${subscriptions.length} subscriptions for user ${userId}`);
+  
+  const sectionsById = new Map();
+  const subscriptionErrors = [];
+  
+  for (const subscription of subscriptions) {
+    try {
+      const sections = await resolveSubscriptionSections(req, subscription);
+      sections.forEach(section => {
+        if (!sectionsById.has(section.id)) {
+          sectionsById.set(section.id, section);
+        }
+      });
+    } catch (error) {
+      console.error(`Error resolving subscription ${subscription.id}:`, error);
+      subscriptionErrors.push({
+        subscriptionId: subscription.id,
+        displayName: subscription.displayName,
+        error: error.message
+      });
+    }
   }
+  
+  const result = await syncSections(req, [...sectionsById.values()]);
+  
+  // Remember when the subscriptions last ran
+  const allSubscriptions = loadSubscriptions();
+  (allSubscriptions[userId] || []).forEach(subscription => {
+    subscription.lastSync = new Date().toISOString();
+  });
+  saveSubscriptions(allSubscriptions);
+  
+  return { ...result, subscriptionErrors };
 }
 
 // Enhanced full sync that can handle large note collections
@@ -491,9 +4309,14 @@ async function performFullSync(req, notebookId, sectionId) {
   try {
     console.log(`Starting full sync for notebook ${notebookId}, section ${sectionId}`);
     
-    // Reset sync info for this section to force full processing
+    // Keep the cursor when the run couldn't even start
+    assertWithinUsageQuota(req);
+    
+    // Reset the cursor for this section to force full processing (page
+    // states stay - failed pages keep their attempt counts)
     const syncInfo = loadSyncInfo();
     syncInfo[sectionId] = {
+      ...syncInfo[sectionId],
       lastSyncTime: null,
       lastFullSync: new Date().toISOString()
     };
@@ -502,7 +4325,325 @@ async function performFullSync(req, notebookId, sectionId) {
     return await syncOneNoteSection(req, sectionId, true);
   } catch (error) {
     console.error('Error performing full sync:', error);
-    return 0;
+    return { ...summarizeSyncResults([]), error: describeSyncError(error) };
+  }
+}
+
+// ------ CHANGE NOTIFICATIONS (WEBHOOKS) ------
+
+// Graph posts change notifications to this URL - it must be reachable from
+// the internet (use a tunnel in development)
+const WEBHOOK_NOTIFICATION_URL = process.env.WEBHOOK_NOTIFICATION_URL ||
+  `${new URL(REDIRECT_URI).origin}/api/webhooks/onenote`;
+const WEBHOOK_SUBSCRIPTION_LIFETIME_MS = 3 * 24 * 60 * 60 * 1000;
+const WEBHOOK_RENEW_BEFORE_MS = 12 * 60 * 60 * 1000;
+const WEBHOOK_RENEW_INTERVAL_MS = 60 * 60 * 1000;
+// OneNote sends a burst of notifications per edit - wait for it to settle
+const WEBHOOK_SYNC_DELAY_MS = parseInt(process.env.WEBHOOK_SYNC_DELAY_MS || '30000', 10);
+
+// Background syncs sign in with the user's Microsoft refresh token. It is
+// kept in webhooks.json encrypted (AES-256-GCM) with a key derived from
+// TOKEN_ENCRYPTION_KEY - set it to a long random string, outside the data
+// directory. Without it no refresh token is stored, so notifications for
+// Graph notebooks can't be synced until the user syncs themselves. Changing
+// the key makes stored tokens unreadable; users create their subscriptions
+// again to store new ones
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest()
+  : null;
+
+function encryptSecret(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptSecret(value) {
+  const [version, iv, authTag, encrypted] = String(value).split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unknown secret format "${version}"`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// The stored form of a refresh token, or null when it can't be kept safely
+function sealRefreshToken(refreshToken) {
+  return refreshToken && TOKEN_ENCRYPTION_KEY ? encryptSecret(refreshToken) : null;
+}
+
+function openRefreshToken(entry) {
+  if (!entry.encryptedRefreshToken || !TOKEN_ENCRYPTION_KEY) return null;
+  try {
+    return decryptSecret(entry.encryptedRefreshToken);
+  } catch (error) {
+    console.error('Could not decrypt a stored refresh token - has TOKEN_ENCRYPTION_KEY changed?', error.message);
+    return null;
+  }
+}
+
+// Earlier versions kept refresh tokens in plain text - encrypt them, or drop
+// them when there is no key to encrypt with
+function migrateWebhookRefreshTokens() {
+  if (!TOKEN_ENCRYPTION_KEY && noteSource.name === 'graph') {
+    console.warn('TOKEN_ENCRYPTION_KEY is not set - refresh tokens for background webhook syncs will not be stored');
+  }
+  
+  const webhooks = loadWebhooks();
+  const plainEntries = Object.values(webhooks).filter(entry => entry.refreshToken);
+  if (plainEntries.length === 0) return;
+  
+  plainEntries.forEach(entry => {
+    entry.encryptedRefreshToken = sealRefreshToken(entry.refreshToken);
+    delete entry.refreshToken;
+  });
+  saveWebhooks(webhooks);
+  console.log(TOKEN_ENCRYPTION_KEY
+    ? `Encrypted stored refresh tokens for ${plainEntries.length} user(s)`
+    : `Removed plain-text refresh tokens for ${plainEntries.length} user(s) - set TOKEN_ENCRYPTION_KEY to keep them`);
+}
+
+migrateWebhookRefreshTokens();
+
+// A stand-in for an Express request, so sync can run without a browser
+// session. Token refreshes land in `session` and are saved afterwards
+function createBackgroundRequest(userId) {
+  const stored = loadWebhooks()[userId] || {};
+  return {
+    session: {
+      userId,
+      userEmail: stored.userEmail || null,
+      refreshToken: openRefreshToken(stored),
+      writebackGranted: !!stored.writebackGranted
+    },
+    sessionID: `background-${userId}`
+  };
+}
+
+function saveBackgroundCredentials(req) {
+  const webhooks = loadWebhooks();
+  const userId = req.session.userId;
+  const encryptedRefreshToken = sealRefreshToken(req.session.refreshToken);
+  if (!webhooks[userId] || !encryptedRefreshToken) return;
+  
+  webhooks[userId].encryptedRefreshToken = encryptedRefreshToken;
+  saveWebhooks(webhooks);
+}
+
+function findWebhookSubscription(subscriptionId) {
+  const webhooks = loadWebhooks();
+  for (const [userId, entry] of Object.entries(webhooks)) {
+    const subscription = (entry.subscriptions || []).find(item => item.id === subscriptionId);
+    if (subscription) return { userId, subscription };
+  }
+  return null;
+}
+
+// Subscribe to changes in a notebook (or a single section). With the local
+// note source there is nothing to subscribe to at Graph - the record alone
+// lets a local stand-in post notifications
+async function createWebhookSubscription(req, target) {
+  const userId = req.session.userId || 'default-user';
+  const resource = target.type === 'section'
+    ? `me/onenote/sections/${target.id}`
+    : `me/onenote/notebooks/${target.id}`;
+  const clientState = crypto.randomBytes(16).toString('hex');
+  const expirationDateTime = new Date(Date.now() + WEBHOOK_SUBSCRIPTION_LIFETIME_MS).toISOString();
+  
+  let id = `local-${crypto.randomBytes(8).toString('hex')}`;
+  if (noteSource.name === 'graph') {
+    const created = await callGraphAPI(req, '/subscriptions', {
+      method: 'POST',
+      data: {
+        changeType: 'updated',
+        notificationUrl: WEBHOOK_NOTIFICATION_URL,
+        resource,
+        expirationDateTime,
+        clientState
+      }
+    });
+    id = created.id;
+  }
+  
+  const subscription = {
+    id,
+    type: target.type,
+    targetId: target.id,
+    displayName: target.displayName || target.id,
+    resource,
+    clientState,
+    expirationDateTime,
+    createdAt: new Date().toISOString()
+  };
+  
+  // Notifications arrive without a session - keep what a background sync needs
+  const webhooks = loadWebhooks();
+  const entry = webhooks[userId] || { subscriptions: [] };
+  entry.encryptedRefreshToken = sealRefreshToken(req.session.refreshToken) || entry.encryptedRefreshToken || null;
+  entry.writebackGranted = !!req.session.writebackGranted;
+  entry.userEmail = req.session.userEmail || entry.userEmail || null;
+  entry.subscriptions = (entry.subscriptions || []).concat(subscription);
+  webhooks[userId] = entry;
+  saveWebhooks(webhooks);
+  
+  return subscription;
+}
+
+async function renewWebhookSubscription(req, subscriptionId) {
+  const expirationDateTime = new Date(Date.now() + WEBHOOK_SUBSCRIPTION_LIFETIME_MS).toISOString();
+  if (noteSource.name === 'graph' && !subscriptionId.startsWith('local-')) {
+    await callGraphAPI(req, `/subscriptions/${subscriptionId}`, {
+      method: 'PATCH',
+      data: { expirationDateTime }
+    });
+  }
+  
+  const webhooks = loadWebhooks();
+  const entry = webhooks[req.session.userId || 'default-user'];
+  const subscription = entry && (entry.subscriptions || []).find(item => item.id === subscriptionId);
+  if (subscription) {
+    subscription.expirationDateTime = expirationDateTime;
+    subscription.renewedAt = new Date().toISOString();
+    saveWebhooks(webhooks);
+  }
+  return subscription || null;
+}
+
+async function deleteWebhookSubscription(req, subscriptionId) {
+  if (noteSource.name === 'graph' && !subscriptionId.startsWith('local-')) {
+    try {
+      await callGraphAPI(req, `/subscriptions/${subscriptionId}`, { method: 'DELETE' });
+    } catch (error) {
+      // Already expired or removed at Graph's end
+      if (error.status !== 404) throw error;
+    }
+  }
+  
+  const webhooks = loadWebhooks();
+  const entry = webhooks[req.session.userId || 'default-user'];
+  if (entry) {
+    entry.subscriptions = (entry.subscriptions || []).filter(item => item.id !== subscriptionId);
+    saveWebhooks(webhooks);
+  }
+}
+
+// Renew subscriptions that are about to expire, for every user
+async function renewExpiringWebhookSubscriptions() {
+  const webhooks = loadWebhooks();
+  const cutoff = Date.now() + WEBHOOK_RENEW_BEFORE_MS;
+  
+  for (const [userId, entry] of Object.entries(webhooks)) {
+    const expiring = (entry.subscriptions || [])
+      .filter(subscription => new Date(subscription.expirationDateTime).getTime() < cutoff);
+    if (expiring.length === 0) continue;
+    
+    const req = createBackgroundRequest(userId);
+    for (const subscription of expiring) {
+      try {
+        await renewWebhookSubscription(req, subscription.id);
+        console.log(`Renewed webhook subscription ${subscription.id} for user ${userId}`);
+      } catch (error) {
+        console.error(`Error renewing webhook subscription ${subscription.id}:`, error);
+      }
+    }
+    saveBackgroundCredentials(req);
+  }
+}
+
+// Pending incremental syncs, keyed by user and section so a burst of
+// notifications for one section turns into a single sync
+const webhookSyncQueue = new Map();
+let webhookSyncRunning = false;
+
+function enqueueWebhookSync(userId, sectionId) {
+  const key = `${userId}:${sectionId}`;
+  if (!webhookSyncQueue.has(key)) {
+    webhookSyncQueue.set(key, { userId, sectionId, notBefore: Date.now() + WEBHOOK_SYNC_DELAY_MS });
+    console.log(`Queued webhook sync of section ${sectionId} for user ${userId}`);
+  }
+  setTimeout(() => {
+    processWebhookSyncQueue().catch(error => {
+      console.error('Error processing webhook sync queue:', error);
+    });
+  }, WEBHOOK_SYNC_DELAY_MS);
+}
+
+// Run queued syncs one at a time. A job that throws is logged and dropped so
+// the ones behind it still run
+async function processWebhookSyncQueue() {
+  if (webhookSyncRunning) return;
+  webhookSyncRunning = true;
+  
+  try {
+    for (;;) {
+      const due = [...webhookSyncQueue.entries()].find(([, job]) => job.notBefore <= Date.now());
+      if (!due) break;
+      
+      const [key, job] = due;
+      webhookSyncQueue.delete(key);
+      
+      try {
+        const req = createBackgroundRequest(job.userId);
+        const result = await syncOneNoteSection(req, job.sectionId);
+        saveBackgroundCredentials(req);
+        
+        if (result.error) {
+          console.error(`Webhook sync of section ${job.sectionId} failed:`, result.error.message);
+        } else {
+          console.log(`Webhook sync of section ${job.sectionId}: ${result.summary.regenerated} regenerated, ` +
+            `${result.summary.skipped} skipped, ${result.summary.failed} failed`);
+        }
+      } catch (error) {
+        console.error(`Webhook sync of section ${job.sectionId} for user ${job.userId} failed:`, error);
+      }
+    }
+  } finally {
+    webhookSyncRunning = false;
+  }
+}
+
+// Work out which sections a notification is about: the page's section when
+// the notification names a page, otherwise everything the subscription covers
+async function resolveNotificationSections(req, subscription, notification) {
+  const resourceData = notification.resourceData || {};
+  const pageMatch = /pages\/([^/?]+)/.exec(notification.resource || '');
+  const pageId = pageMatch ? pageMatch[1] : (resourceData['@odata.type'] || '').includes('page') ? resourceData.id : null;
+  
+  if (pageId) {
+    const page = await getPageLocation(req, pageId);
+    if (page && page.parentSection) return [page.parentSection.id];
+  }
+  
+  if (subscription.type === 'section') {
+    return [subscription.targetId];
+  }
+  return flattenSectionTree(await getNotebookTree(req, subscription.targetId)).map(section => section.id);
+}
+
+async function handleChangeNotifications(notifications) {
+  for (const notification of notifications) {
+    const match = findWebhookSubscription(notification.subscriptionId);
+    if (!match) {
+      console.log(`Ignoring notification for unknown subscription ${notification.subscriptionId}`);
+      continue;
+    }
+    
+    // clientState is the shared secret that proves the notification is ours
+    if (notification.clientState !== match.subscription.clientState) {
+      console.warn(`Ignoring notification with a bad clientState for subscription ${notification.subscriptionId}`);
+      continue;
+    }
+    
+    try {
+      const req = createBackgroundRequest(match.userId);
+      const sectionIds = await resolveNotificationSections(req, match.subscription, notification);
+      saveBackgroundCredentials(req);
+      sectionIds.forEach(sectionId => enqueueWebhookSync(match.userId, sectionId));
+    } catch (error) {
+      console.error(`Error handling notification for subscription ${notification.subscriptionId}:`, error);
+    }
   }
 }
 
@@ -510,12 +4651,19 @@ async function performFullSync(req, notebookId, sectionId) {
 
 // Generate authentication URL and redirect user
 app.get('/auth/signin', async (req, res) => {
+  if (!noteSource.requiresSignIn) {
+    return res.redirect('/');
+  }
+  
   try {
     const state = crypto.randomBytes(16).toString('hex');
     req.session.authState = state;
     
+    // ?writeback=1 asks for write access (opt-in, for writing cards to OneNote)
+    req.session.requestWriteback = req.query.writeback === '1' || !!req.session.writebackGranted;
+    
     const authCodeUrlParameters = {
-      scopes: msGraphScopes,
+      scopes: req.session.requestWriteback ? msGraphWritebackScopes : msGraphScopes,
       redirectUri: REDIRECT_URI,
       state: state
     };
@@ -541,13 +4689,18 @@ app.get('/auth/callback', async (req, res) => {
     // Exchange code for token
     const tokenRequest = {
       code: req.query.code,
-      scopes: msGraphScopes,
+      scopes: req.session.requestWriteback ? msGraphWritebackScopes : msGraphScopes,
       redirectUri: REDIRECT_URI
     };
     
     const response = await msalClient.acquireTokenByCode(tokenRequest);
     console.log('Token acquired successfully');
     
+    // The user (or their admin) may have declined write access
+    req.session.writebackGranted = (response.scopes || [])
+      .some(scope => scope.toLowerCase().endsWith('notes.readwrite'));
+    delete req.session.requestWriteback;
+    
     // Save tokens in session
     req.session.accessToken = response.accessToken;
     req.session.refreshToken = response.refreshToken;
@@ -590,77 +4743,248 @@ app.get('/auth/signout', (req, res) => {
   res.redirect('/');
 });
 
-// User profile information
-app.get('/api/me', ensureAuthenticated, async (req, res) => {
+// User profile information
+app.get('/api/me', ensureAuthenticated, async (req, res) => {
+  try {
+    res.json({
+      name: req.session.userName || (noteSource.requiresSignIn ? undefined : 'Local notes'),
+      email: req.session.userEmail,
+      authenticated: true
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ------ API ROUTES ------
+
+// Main application page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Auth status check
+app.get('/api/auth/status', (req, res) => {
+  // Local notes need no sign-in
+  res.json({
+    authenticated: !!req.session.accessToken || !noteSource.requiresSignIn,
+    userName: req.session.userName || (noteSource.requiresSignIn ? null : 'Local notes'),
+    noteSource: noteSource.name
+  });
+});
+
+// Get notebooks - protected by auth
+app.get('/api/notebooks', ensureAuthenticated, async (req, res) => {
+  try {
+    const notebooks = await getOneNoteNotebooks(req);
+    res.json(notebooks);
+  } catch (error) {
+    if (error.message.includes('authenticate')) {
+      return res.status(401).json({ error: 'Authentication required', redirect: '/auth/signin' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get sections for a notebook
+app.get('/api/notebooks/:notebookId/sections', ensureAuthenticated, async (req, res) => {
+  try {
+    const sections = await getOneNoteSections(req, req.params.notebookId);
+    res.json(sections);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the full section/section group hierarchy for a notebook
+app.get('/api/notebooks/:notebookId/tree', ensureAuthenticated, async (req, res) => {
+  try {
+    const tree = await getNotebookTree(req, req.params.notebookId);
+    res.json(tree);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Trigger incremental sync for a section
+app.post('/api/sync/section/:sectionId', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await syncOneNoteSection(req, req.params.sectionId);
+    res.json({ success: !result.error, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Trigger incremental sync for every section under a section group
+app.post('/api/sync/section-group/:sectionGroupId', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await syncSectionGroup(req, req.params.sectionGroupId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message, details: describeSyncError(error) });
+  }
+});
+
+// Trigger incremental sync for every section in a notebook
+app.post('/api/sync/notebook/:notebookId', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await syncNotebook(req, req.params.notebookId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message, details: describeSyncError(error) });
+  }
+});
+
+// List the current user's sync subscriptions
+app.get('/api/sync/subscriptions', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    res.json(loadSubscriptions()[userId] || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Subscribe to a notebook, section group or section
+app.post('/api/sync/subscriptions', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const { type, id, notebookId, displayName } = req.body;
+    
+    if (!['notebook', 'sectionGroup', 'section'].includes(type) || !id) {
+      return res.status(400).json({ error: 'A subscription needs a type (notebook, sectionGroup or section) and an id' });
+    }
+    
+    const allSubscriptions = loadSubscriptions();
+    if (!allSubscriptions[userId]) {
+      allSubscriptions[userId] = [];
+    }
+    
+    const existing = allSubscriptions[userId].find(subscription => subscription.id === id);
+    if (!existing) {
+      allSubscriptions[userId].push({
+        type,
+        id,
+        notebookId: notebookId || null,
+        displayName: displayName || id,
+        addedAt: new Date().toISOString(),
+        lastSync: null
+      });
+      saveSubscriptions(allSubscriptions);
+    }
+    
+    res.json({ success: true, subscriptions: allSubscriptions[userId] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unsubscribe
+app.delete('/api/sync/subscriptions/:id', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const allSubscriptions = loadSubscriptions();
+    
+    allSubscriptions[userId] = (allSubscriptions[userId] || [])
+      .filter(subscription => subscription.id !== req.params.id);
+    saveSubscriptions(allSubscriptions);
+    
+    res.json({ success: true, subscriptions: allSubscriptions[userId] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Graph change notifications. Graph first checks the endpoint with a
+// validationToken it expects echoed back; notifications are acknowledged
+// straight away and processed afterwards
+app.post('/api/webhooks/onenote', (req, res) => {
+  if (req.query.validationToken) {
+    return res.status(200).type('text/plain').send(req.query.validationToken);
+  }
+  
+  const notifications = (req.body && Array.isArray(req.body.value)) ? req.body.value : [];
+  res.status(202).end();
+  
+  handleChangeNotifications(notifications).catch(error => {
+    console.error('Error handling change notifications:', error);
+  });
+});
+
+app.get('/api/webhooks/subscriptions', ensureAuthenticated, (req, res) => {
   try {
+    const entry = loadWebhooks()[req.session.userId || 'default-user'] || {};
+    // clientState is a secret - keep it server-side
     res.json({
-      name: req.session.userName,
-      email: req.session.userEmail,
-      authenticated: true
+      notificationUrl: WEBHOOK_NOTIFICATION_URL,
+      subscriptions: (entry.subscriptions || []).map(({ clientState, ...subscription }) => subscription)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ------ API ROUTES ------
-
-// Main application page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Auth status check
-app.get('/api/auth/status', (req, res) => {
-  res.json({
-    authenticated: !!req.session.accessToken,
-    userName: req.session.userName || null
-  });
+// Body: { type: 'notebook' | 'section', id, displayName }
+app.post('/api/webhooks/subscriptions', ensureAuthenticated, async (req, res) => {
+  try {
+    const { type, id, displayName } = req.body || {};
+    if (!['notebook', 'section'].includes(type) || !id) {
+      return res.status(400).json({ error: 'type (notebook or section) and id are required' });
+    }
+    
+    const { clientState, ...subscription } = await createWebhookSubscription(req, { type, id, displayName });
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(error.status || 500).json({ error: error.message, details: describeSyncError(error) });
+  }
 });
 
-// Get notebooks - protected by auth
-app.get('/api/notebooks', ensureAuthenticated, async (req, res) => {
+app.post('/api/webhooks/subscriptions/:id/renew', ensureAuthenticated, async (req, res) => {
   try {
-    const notebooks = await getOneNoteNotebooks(req);
-    res.json(notebooks);
-  } catch (error) {
-    if (error.message.includes('authenticate')) {
-      return res.status(401).json({ error: 'Authentication required', redirect: '/auth/signin' });
+    const renewed = await renewWebhookSubscription(req, req.params.id);
+    if (!renewed) {
+      return res.status(404).json({ error: 'Subscription not found' });
     }
-    res.status(500).json({ error: error.message });
+    const { clientState, ...subscription } = renewed;
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error renewing webhook subscription:', error);
+    res.status(error.status || 500).json({ error: error.message, details: describeSyncError(error) });
   }
 });
 
-// Get sections for a notebook
-app.get('/api/notebooks/:notebookId/sections', ensureAuthenticated, async (req, res) => {
+app.delete('/api/webhooks/subscriptions/:id', ensureAuthenticated, async (req, res) => {
   try {
-    const sections = await getOneNoteSections(req, req.params.notebookId);
-    res.json(sections);
+    await deleteWebhookSubscription(req, req.params.id);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error deleting webhook subscription:', error);
+    res.status(error.status || 500).json({ error: error.message, details: describeSyncError(error) });
   }
 });
 
-// Trigger incremental sync for a section
-app.post('/api/sync/section/:sectionId', ensureAuthenticated, async (req, res) => {
+// Sync everything the user is subscribed to in one run
+app.post('/api/sync/subscriptions/run', ensureAuthenticated, async (req, res) => {
   try {
-    const cardsUpdated = await syncOneNoteSection(req, req.params.sectionId);
-    res.json({ success: true, cardsUpdated });
+    const result = await syncSubscriptions(req);
+    res.json({ success: true, ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, details: describeSyncError(error) });
   }
 });
 
 // Trigger full sync for a section
 app.post('/api/sync/full/:notebookId/:sectionId', ensureAuthenticated, async (req, res) => {
   try {
-    const cardsUpdated = await performFullSync(
+    const result = await performFullSync(
       req, 
       req.params.notebookId,
       req.params.sectionId
     );
     
-    res.json({ success: true, cardsUpdated });
+    res.json({ success: !result.error, ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -688,9 +5012,14 @@ app.get('/api/flashcards', ensureAuthenticated, (req, res) => {
     const allFlashcards = loadFlashcards();
     const userId = req.session.userId || 'default-user';
     
-    // Return only this user's flashcards
+    // Return only this user's flashcards, each with the revision the
+    // client sends back when saving
     const userFlashcards = allFlashcards[userId] || {};
-    res.json(userFlashcards);
+    const withRevisions = {};
+    Object.entries(userFlashcards).forEach(([pageId, deck]) => {
+      withRevisions[pageId] = { ...deck, revision: getDeckRevision(deck) };
+    });
+    res.json(withRevisions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -704,13 +5033,40 @@ app.post('/api/flashcards/update', ensureAuthenticated, (req, res) => {
     // Load all flashcards
     const allFlashcards = loadFlashcards();
     
-    // Update only this user's flashcards
-    allFlashcards[userId] = updatedFlashcards;
+    // Update only this user's flashcards - cards from an older client may
+    // not have ids yet
+    ensureCardIds(updatedFlashcards);
+    
+    // Decks the client doesn't know about yet (a background sync created
+    // them) are kept; decks changed on the server since the client loaded
+    // them are merged rather than overwritten
+    const storedDecks = allFlashcards[userId] || {};
+    const userDecks = { ...storedDecks };
+    const merged = [];
+    Object.entries(updatedFlashcards).forEach(([pageId, deck]) => {
+      const { revision, removedCardIds, ...clientDeck } = deck;
+      const storedDeck = storedDecks[pageId];
+      if (!storedDeck || revision === getDeckRevision(storedDeck)) {
+        userDecks[pageId] = clientDeck;
+      } else {
+        userDecks[pageId] = mergeStaleDeck(storedDeck, clientDeck, removedCardIds || []);
+        merged.push(pageId);
+      }
+    });
+    allFlashcards[userId] = userDecks;
     
     // Save back to storage
     saveFlashcards(allFlashcards);
+    if (merged.length > 0) {
+      console.log(`Merged ${merged.length} out-of-date deck(s) saved by user ${userId}`);
+    }
     
-    res.json({ success: true });
+    // New revisions for the next save; the client reloads merged decks
+    const revisions = {};
+    Object.keys(updatedFlashcards).forEach(pageId => {
+      revisions[pageId] = getDeckRevision(userDecks[pageId]);
+    });
+    res.json({ success: true, revisions, merged });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -732,6 +5088,489 @@ app.get('/api/flashcards/page/:pageId', ensureAuthenticated, (req, res) => {
   }
 });
 
+// Restore an archived deck whose OneNote page was deleted
+app.post('/api/flashcards/page/:pageId/restore', ensureAuthenticated, (req, res) => {
+  try {
+    const allFlashcards = loadFlashcards();
+    const userId = req.session.userId || 'default-user';
+    const deck = (allFlashcards[userId] || {})[req.params.pageId];
+    
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    
+    // Reconciliation leaves the deck alone while its page stays deleted
+    if (deck.archived) {
+      deck.restoredAt = new Date().toISOString();
+    }
+    deck.archived = false;
+    delete deck.archivedAt;
+    delete deck.archiveReason;
+    saveFlashcards(allFlashcards);
+    
+    res.json({ success: true, deck });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a local document (lecture handout etc.) as a deck
+app.post('/api/import/document', ensureAuthenticated, (req, res) => {
+  documentUpload.single('document')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' || uploadError.code === 'unsupportedFileType' ? 400 : 500;
+      return res.status(status).json({ error: uploadError.message, code: uploadError.code || null });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded (expected form field "document")' });
+    }
+    
+    try {
+      const result = await importDocument(req, req.file, (req.body.title || '').trim() || null);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error(`Error importing document ${req.file.originalname}:`, error);
+      const status = { emptyDocument: 422, usageQuotaExceeded: 429 }[error.code] || 500;
+      res.status(status).json({ error: error.message, code: error.code || null });
+    }
+  });
+});
+
+// Write one deck to OneNote now, using the saved writeback mode unless the
+// body names one
+app.post('/api/writeback/page/:pageId', ensureAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const mode = (req.body && req.body.mode) || getUserSettings(userId).writeback.mode;
+    if (!['page', 'append'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "page" or "append"' });
+    }
+    
+    const result = await writeFlashcardsToOneNote(req, req.params.pageId, mode);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = ['writebackNotGranted', 'writebackNotSupported'].includes(error.code) ? 403 : (error.status || 500);
+    res.status(status).json({ error: error.message, details: describeSyncError(error) });
+  }
+});
+
+// LLM providers the server knows about, for the model pickers
+app.get('/api/llm/providers', ensureAuthenticated, (req, res) => {
+  res.json({
+    default: { provider: LLM_PROVIDER, model: LLM_MODEL || llmProviders[LLM_PROVIDER].defaultModel },
+    fallback: LLM_FALLBACK_PROVIDER ? {
+      provider: LLM_FALLBACK_PROVIDER,
+      model: LLM_FALLBACK_MODEL || llmProviders[LLM_FALLBACK_PROVIDER].defaultModel
+    } : null,
+    providers: Object.values(llmProviders).map(provider => ({
+      name: provider.name,
+      defaultModel: provider.defaultModel,
+      configured: provider.isConfigured()
+    }))
+  });
+});
+
+// LLM usage of the current user: today's and this month's totals against the
+// quotas, plus daily (last `days`, default 30) and monthly totals by model
+app.get('/api/usage', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const days = Math.min(Math.max(parseInt(req.query.days || '30', 10) || 30, 1), USAGE_RETENTION_DAYS);
+    const entries = (loadUsage()[userId] || {}).entries || [];
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    res.json({
+      ...getUsageStatus(userId, req.session.userEmail),
+      daily: summarizeUsage(entries.filter(entry => entry.date.slice(0, 10) >= since), 'day'),
+      monthly: summarizeUsage(entries, 'month')
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pin a deck to a provider/model for its next regeneration. Body:
+// { provider, model } or { provider: null } to go back to the user default
+app.post('/api/flashcards/page/:pageId/llm', ensureAuthenticated, (req, res) => {
+  try {
+    const { provider, model } = req.body || {};
+    if (provider && !llmProviders[provider]) {
+      return res.status(400).json({ error: `Unknown LLM provider "${provider}"` });
+    }
+    
+    const allFlashcards = loadFlashcards();
+    const userId = req.session.userId || 'default-user';
+    const deck = (allFlashcards[userId] || {})[req.params.pageId];
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    
+    deck.llm = provider ? { provider, model: (model || '').trim() || null } : null;
+    saveFlashcards(allFlashcards);
+    
+    res.json({ success: true, llm: deck.llm });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// On-demand generation for one page. Each resolves to proposals for the
+// user to review - nothing is saved until the client applies them
+const ON_DEMAND_ERROR_STATUS = {
+  deckNotFound: 404,
+  cardNotFound: 404,
+  sourceUnavailable: 400,
+  pageEmpty: 422,
+  usageQuotaExceeded: 429,
+  invalidLLMOutput: 502
+};
+
+function sendOnDemandError(res, error, action) {
+  console.error(`Error in ${action}:`, error);
+  res.status(ON_DEMAND_ERROR_STATUS[error.code] || error.status || 500).json({
+    error: error.message,
+    code: error.code || null,
+    parseErrors: error.parseErrors || []
+  });
+}
+
+// Body: { count } - how many new cards to propose (1-20, default 5)
+app.post('/api/flashcards/page/:pageId/generate-more', ensureAuthenticated, async (req, res) => {
+  try {
+    const count = parseInt((req.body && req.body.count) || '5', 10);
+    if (!(count >= 1 && count <= GENERATE_MORE_MAX_CARDS)) {
+      return res.status(400).json({ error: `count must be between 1 and ${GENERATE_MORE_MAX_CARDS}` });
+    }
+    
+    const result = await generateMoreCards(req, req.params.pageId, count);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendOnDemandError(res, error, 'generating more cards');
+  }
+});
+
+app.post('/api/flashcards/page/:pageId/cards/:cardId/regenerate', ensureAuthenticated, async (req, res) => {
+  try {
+    const result = await rewriteCard(req, req.params.pageId, req.params.cardId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendOnDemandError(res, error, 'regenerating a card');
+  }
+});
+
+// Body: { instruction }, e.g. "make it a clinical vignette"
+app.post('/api/flashcards/page/:pageId/cards/:cardId/rewrite', ensureAuthenticated, async (req, res) => {
+  try {
+    const instruction = String((req.body && req.body.instruction) || '').trim();
+    if (!instruction) {
+      return res.status(400).json({ error: 'Say how the card should be rewritten' });
+    }
+    if (instruction.length > REWRITE_INSTRUCTION_MAX_LENGTH) {
+      return res.status(400).json({ error: `The instruction is longer than ${REWRITE_INSTRUCTION_MAX_LENGTH} characters` });
+    }
+    
+    const result = await rewriteCard(req, req.params.pageId, req.params.cardId, instruction);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendOnDemandError(res, error, 'rewriting a card');
+  }
+});
+
+// Body: { history, question } - both empty for the first explanation, then
+// the conversation so far ([{ role: 'assistant' | 'user', text }]) and the
+// follow-up question. Answers with newline-delimited JSON: { text } pieces
+// as they arrive, then { done, provider, model } or { error }
+app.post('/api/flashcards/page/:pageId/cards/:cardId/explain', ensureAuthenticated, async (req, res) => {
+  let prepared;
+  try {
+    const history = Array.isArray(req.body && req.body.history) ? req.body.history : [];
+    const question = String((req.body && req.body.question) || '').trim() || null;
+    
+    const validHistory = history.every(message => message && ['assistant', 'user'].includes(message.role) && typeof message.text === 'string');
+    if (!validHistory) {
+      return res.status(400).json({ error: 'history must be a list of { role, text } messages' });
+    }
+    if (history.length > 0 && !question) {
+      return res.status(400).json({ error: 'Ask a follow-up question' });
+    }
+    if (question && question.length > EXPLAIN_QUESTION_MAX_LENGTH) {
+      return res.status(400).json({ error: `The question is longer than ${EXPLAIN_QUESTION_MAX_LENGTH} characters` });
+    }
+    if (history.reduce((total, message) => total + message.text.length, 0) > EXPLAIN_HISTORY_MAX_LENGTH) {
+      return res.status(400).json({ error: 'The conversation is too long - start a new explanation' });
+    }
+    
+    prepared = await prepareExplanation(req, req.params.pageId, req.params.cardId, history, question);
+  } catch (error) {
+    return sendOnDemandError(res, error, 'explaining a card');
+  }
+  
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  
+  // Stop generating (and paying for) text nobody will read. The response's
+  // close event is the one that means the client went away - the request's
+  // fires as soon as its body has been read
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const send = (message) => {
+    if (!controller.signal.aborted) res.write(JSON.stringify(message) + '\n');
+  };
+  
+  try {
+    const result = await explainCard(req, prepared, text => send({ text }), controller.signal);
+    send({ done: true, provider: result.provider, model: result.model });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Error explaining a card:', error);
+      send({ error: error.message });
+    }
+  }
+  // Some SDKs end an aborted stream quietly instead of throwing
+  if (controller.signal.aborted) {
+    console.log(`Explanation for card ${req.params.cardId} stopped - the client went away`);
+  }
+  res.end();
+});
+
+// Server-side user settings (the ones sync needs)
+app.get('/api/settings', ensureAuthenticated, (req, res) => {
+  try {
+    const settings = getUserSettings(req.session.userId || 'default-user');
+    res.json({
+      ...settings,
+      writeback: { ...settings.writeback, granted: !!req.session.writebackGranted }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/settings', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const { writeback, llm } = req.body || {};
+    const allSettings = loadUserSettings();
+    const settings = allSettings[userId] || {};
+    
+    if (llm !== undefined) {
+      if (llm && !llmProviders[llm.provider]) {
+        return res.status(400).json({ error: `Unknown LLM provider "${llm.provider}"` });
+      }
+      settings.llm = llm ? { provider: llm.provider, model: (llm.model || '').trim() || null } : null;
+    }
+    
+    if (writeback) {
+      if (writeback.mode !== undefined && !['page', 'append'].includes(writeback.mode)) {
+        return res.status(400).json({ error: 'writeback.mode must be "page" or "append"' });
+      }
+      settings.writeback = {
+        ...(settings.writeback || {}),
+        ...(writeback.enabled !== undefined ? { enabled: !!writeback.enabled } : {}),
+        ...(writeback.mode !== undefined ? { mode: writeback.mode } : {})
+      };
+    }
+    
+    allSettings[userId] = settings;
+    saveUserSettings(allSettings);
+    
+    const saved = getUserSettings(userId);
+    res.json({
+      success: true,
+      ...saved,
+      writeback: { ...saved.writeback, granted: !!req.session.writebackGranted }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prompt templates - the user's default plus per-notebook and per-section ones
+const PROMPT_SCOPES = { notebook: 'notebooks', section: 'sections' };
+
+app.get('/api/prompts', ensureAuthenticated, (req, res) => {
+  try {
+    res.json({
+      presets: Object.entries(PROMPT_PRESETS).map(([name, preset]) => ({ name, label: preset.label, template: preset.template })),
+      defaultPreset: DEFAULT_PROMPT_PRESET,
+      variables: ['pageTitle', 'cardsTarget', 'notes', 'instructions'],
+      prompts: getUserSettings(req.session.userId || 'default-user').prompts
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save the template for a scope: { scope: 'default' | 'notebook' | 'section',
+// id, displayName, preset, template }. A template identical to its preset is
+// stored as the preset, so later preset improvements reach it
+app.post('/api/prompts', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const { scope, id, displayName, preset, template } = req.body || {};
+    
+    if (scope !== 'default' && !PROMPT_SCOPES[scope]) {
+      return res.status(400).json({ error: 'scope must be "default", "notebook" or "section"' });
+    }
+    if (scope !== 'default' && !id) {
+      return res.status(400).json({ error: `A ${scope} id is required` });
+    }
+    if (!PROMPT_PRESETS[preset]) {
+      return res.status(400).json({ error: `Unknown preset "${preset}"` });
+    }
+    
+    const customTemplate = template && template.trim() !== PROMPT_PRESETS[preset].template ? template : null;
+    if (customTemplate) {
+      const problem = validatePromptTemplate(customTemplate);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+    }
+    
+    const allSettings = loadUserSettings();
+    const settings = allSettings[userId] || {};
+    const prompts = { default: null, notebooks: {}, sections: {}, ...(settings.prompts || {}) };
+    const entry = { preset, template: customTemplate, updatedAt: new Date().toISOString() };
+    
+    if (scope === 'default') {
+      prompts.default = entry;
+    } else {
+      prompts[PROMPT_SCOPES[scope]][id] = { ...entry, displayName: displayName || id };
+    }
+    
+    settings.prompts = prompts;
+    allSettings[userId] = settings;
+    saveUserSettings(allSettings);
+    
+    res.json({ success: true, prompts: getUserSettings(userId).prompts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop a notebook or section template (or the default) so the next scope up applies
+app.delete('/api/prompts/:scope/:id?', ensureAuthenticated, (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const { scope, id } = req.params;
+    
+    if (scope !== 'default' && !PROMPT_SCOPES[scope]) {
+      return res.status(400).json({ error: 'scope must be "default", "notebook" or "section"' });
+    }
+    
+    const allSettings = loadUserSettings();
+    const settings = allSettings[userId] || {};
+    const prompts = { default: null, notebooks: {}, sections: {}, ...(settings.prompts || {}) };
+    
+    if (scope === 'default') {
+      prompts.default = null;
+    } else {
+      delete prompts[PROMPT_SCOPES[scope]][id];
+    }
+    
+    settings.prompts = prompts;
+    allSettings[userId] = settings;
+    saveUserSettings(allSettings);
+    
+    res.json({ success: true, prompts: getUserSettings(userId).prompts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a template against a page - one of the user's pages when pageId is
+// given, otherwise the preset's sample - and return the prompt that would be
+// sent for its first chunk along with the cards the model made from it
+app.post('/api/prompts/preview', ensureAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const { preset, template, pageId } = req.body || {};
+    const promptTemplate = template || getPromptTemplateText({ preset });
+    
+    const problem = validatePromptTemplate(promptTemplate);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    let content;
+    let pageTitle;
+    if (pageId) {
+      const location = await getPageLocation(req, pageId);
+      if (!location) {
+        return res.status(404).json({ error: `Page ${pageId} not found` });
+      }
+      content = await getPageContent(req, pageId);
+      pageTitle = location.title;
+    } else {
+      const sample = PROMPT_SAMPLE_PAGES[preset] || PROMPT_SAMPLE_PAGES[DEFAULT_PROMPT_PRESET];
+      content = sample.notes;
+      pageTitle = sample.title;
+    }
+    
+    const chunks = chunkBlocks(contentToBlocks(content));
+    if (!chunks.some(chunk => chunk.blocks.length > 0)) {
+      return res.status(422).json({ error: 'The page has no notes to preview the template with' });
+    }
+    const prompt = buildFlashcardPrompt(promptTemplate, chunks[0], 0, chunks.length, pageTitle);
+    const deck = (loadFlashcards()[userId] || {})[pageId];
+    assertWithinUsageQuota(req);
+    const result = await extractFlashcardsWithLLM(content, pageTitle, {
+      userId,
+      userEmail: req.session.userEmail,
+      deckLLM: deck ? deck.llm : null,
+      promptTemplate
+    });
+    
+    res.json({ pageTitle, prompt, ...result });
+  } catch (error) {
+    console.error('Error previewing prompt template:', error);
+    res.status(error.code === 'usageQuotaExceeded' ? 429 : 500).json({ error: error.message, errorCode: error.code || null });
+  }
+});
+
+// Decks with cards from an older prompt version, for regenerating them
+app.get('/api/prompts/outdated', ensureAuthenticated, async (req, res) => {
+  try {
+    res.json({ decks: await findOutdatedDecks(req) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Regenerate the decks with cards from an older prompt version. Body:
+// { pageIds } to pick some of them, all of them otherwise. Chunks that
+// already have cards from the current version come back from the
+// generation cache, so in effect only the outdated cards are regenerated -
+// edits, study progress and hand-added cards survive the merge as in a sync
+app.post('/api/prompts/outdated/regenerate', ensureAuthenticated, async (req, res) => {
+  try {
+    const userId = req.session.userId || 'default-user';
+    const pageIds = Array.isArray(req.body && req.body.pageIds) ? req.body.pageIds : null;
+    assertWithinUsageQuota(req);
+    
+    const decks = (await findOutdatedDecks(req))
+      .filter(deck => !pageIds || pageIds.includes(deck.pageId));
+    const userDecks = loadFlashcards()[userId] || {};
+    const pageCache = loadPageCache()[userId] || {};
+    
+    const pageResults = [];
+    for (const { pageId } of decks) {
+      const deck = userDecks[pageId];
+      const cached = pageCache[pageId];
+      pageResults.push(await syncOneNotePage(
+        req, pageId, deck.pageTitle, cached ? cached.lastModifiedDateTime : null, deck.sectionId || null, null, deck.links || null, true
+      ));
+    }
+    
+    res.json({ success: true, ...summarizeSyncResults(pageResults) });
+  } catch (error) {
+    console.error('Error regenerating outdated decks:', error);
+    res.status(error.status || 500).json({ error: error.message, errorCode: error.code || null });
+  }
+});
+
 // Get sync status information
 app.get('/api/sync/status', ensureAuthenticated, (req, res) => {
   try {
@@ -747,6 +5586,13 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   
+  // Keep change-notification subscriptions alive
+  setInterval(() => {
+    renewExpiringWebhookSubscriptions().catch(error => {
+      console.error('Error renewing webhook subscriptions:', error);
+    });
+  }, WEBHOOK_RENEW_INTERVAL_MS);
+  
   // Initialize automatic background sync
   setInterval(async () => {
     try {
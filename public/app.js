@@ -25,6 +25,10 @@ let studySession = {
 };
 let currentView = 'home'; // Track current view for navigation
 let pendingSaves = []; // For offline handling
+let cardIdChanges = {}; // Old card ids (or legacy pageId-index keys) -> current id, this session
+let editingCard = null; // { pageId, cardId } of the card open in the editor
+let aiCardsRequest = null; // { mode, pageId, cardId, proposals } behind the AI cards modal
+let studyExplanation = null; // { pageId, cardId, messages, busy } behind the study tutor panel
 
 // Card scheduling constants (Anki-like algorithms)
 const EASE_FACTOR_DEFAULT = 2.5;
@@ -73,6 +77,11 @@ function showView(viewName) {
             updateStudyStatusDisplay();
         } else if (viewName === 'stats') {
             updateDetailedStats();
+        } else if (viewName === 'settings') {
+            // The selected notebook and section may have changed
+            renderPromptScopes();
+            loadUsage();
+            loadOutdatedDecks();
         }
     } else {
         console.error(`View not found: ${viewName}`);
@@ -352,6 +361,9 @@ function loadStudyStats() {
             saveStudyStats();
         }
         
+        // History recorded before cards had ids refers to them by position
+        migrateReviewHistoryIds();
+        
         // Update streak
         updateStudyStreak();
     } catch (error) {
@@ -410,8 +422,97 @@ function updateStudyStreak() {
     saveStudyStats();
 }
 
+// Cards are referenced by id everywhere (review history, study queue, editor)
+// so reordering, editing or regenerating a deck can't mix up their history
+function createCardId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    // randomUUID needs a secure context - plain http on a LAN doesn't have one
+    return 'card-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+function findCardIndex(pageId, cardId) {
+    const cards = allFlashcards[pageId] && allFlashcards[pageId].cards;
+    if (!cards || !cardId) return -1;
+    return cards.findIndex(card => card && card.id === cardId);
+}
+
+// Remember that a card is now known by a different id, keeping earlier
+// changes pointing at the newest one
+function rememberCardIdChange(oldId, newId) {
+    if (!oldId || oldId === newId) return;
+    Object.keys(cardIdChanges).forEach(key => {
+        if (cardIdChanges[key] === oldId) cardIdChanges[key] = newId;
+    });
+    cardIdChanges[oldId] = newId;
+}
+
+// Give every card in the decks an id. Cards used to be referenced as
+// `${pageId}-${index}`, so that key is remembered for migrating references
+function ensureCardIds(decks) {
+    Object.entries(decks || {}).forEach(([pageId, pageData]) => {
+        (pageData && Array.isArray(pageData.cards) ? pageData.cards : []).forEach((card, index) => {
+            if (card && !card.id) {
+                card.id = createCardId();
+                rememberCardIdChange(`${pageId}-${index}`, card.id);
+            }
+        });
+    });
+    return decks;
+}
+
+// Current id for a stored reference ({ pageId, cardId } or a legacy
+// { pageId, cardIndex }), or null if the card no longer exists
+function resolveCardId(pageId, cardId, cardIndex) {
+    const key = cardId || (cardIndex !== undefined ? `${pageId}-${cardIndex}` : null);
+    if (!key) return null;
+    
+    const id = cardIdChanges[key] || key;
+    if (findCardIndex(pageId, id) !== -1) return id;
+    
+    // Legacy reference made before this browser had migrated its cards
+    const card = cardIndex !== undefined && key === `${pageId}-${cardIndex}` &&
+        allFlashcards[pageId] && allFlashcards[pageId].cards[cardIndex];
+    return card && card.id ? card.id : null;
+}
+
+// Point review history at current card ids (after migrating or merging
+// cards from the server)
+function migrateReviewHistoryIds() {
+    if (!userStudyStats || !Array.isArray(userStudyStats.reviewHistory)) return;
+    
+    let changed = false;
+    userStudyStats.reviewHistory.forEach(review => {
+        const cardId = resolveCardId(review.pageId, review.cardId, review.cardIndex);
+        if (cardId && cardId !== review.cardId) {
+            review.cardId = cardId;
+            changed = true;
+        }
+        if (review.cardIndex !== undefined) {
+            delete review.cardIndex;
+            changed = true;
+        }
+    });
+    
+    if (changed) saveStudyStats();
+}
+
+// Card a study queue item points at, updating legacy items in place
+function getStudyItemCard(item) {
+    const cardId = resolveCardId(item.pageId, item.cardId, item.cardIndex);
+    if (!cardId) return null;
+    
+    if (item.cardId !== cardId || item.cardIndex !== undefined) {
+        item.cardId = cardId;
+        delete item.cardIndex;
+        saveStudySession();
+    }
+    return allFlashcards[item.pageId].cards[findCardIndex(item.pageId, cardId)];
+}
+
 // Record a card review in study statistics
-function recordCardReview(cardIndex, pageId, result) {
+function recordCardReview(cardId, pageId, result) {
     // Update global stats
     userStudyStats.totalReviews++;
     
@@ -419,7 +520,7 @@ function recordCardReview(cardIndex, pageId, result) {
         userStudyStats.correctReviews++;
     }
     
-    const card = allFlashcards[pageId]?.cards[cardIndex];
+    const card = allFlashcards[pageId]?.cards[findCardIndex(pageId, cardId)];
     if (!card) return;
     
     // If first time seeing this card, increment cardsStudied
@@ -430,9 +531,8 @@ function recordCardReview(cardIndex, pageId, result) {
     // Add to review history with enhanced data
     userStudyStats.reviewHistory.push({
         date: new Date().toISOString(),
-        cardIndex: cardIndex,
         pageId: pageId,
-        cardId: card.id || `${pageId}-${cardIndex}`, // Add unique card identifier
+        cardId: card.id,
         result: result,
         previousInterval: card.interval || 0,
         newInterval: card.interval, // The newly calculated interval
@@ -703,7 +803,7 @@ function getDueCounts() {
     let totalCount = 0;
     
     Object.values(allFlashcards).forEach(page => {
-        if (!page.cards) return;
+        if (!page.cards || page.archived) return;
         
         totalCount += page.cards.length;
         
@@ -906,6 +1006,34 @@ function setupEventListeners() {
     if (saveNewCardButton) {
         saveNewCardButton.addEventListener('click', saveNewCard);
     }
+    
+    // Question/answer or cloze in the add card modal
+    document.querySelectorAll('input[name="new-card-type"]').forEach(input => {
+        input.addEventListener('change', () => showNewCardType(input.value));
+    });
+    
+    // AI menu: more cards for the page, or a new version of the current card
+    document.querySelectorAll('[data-ai-mode]').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            openAiCardsModal(item.dataset.aiMode);
+        });
+    });
+    
+    const aiCardsRunButton = document.getElementById('ai-cards-run');
+    if (aiCardsRunButton) {
+        aiCardsRunButton.addEventListener('click', runAiCardsRequest);
+    }
+    
+    const aiCardsApplyButton = document.getElementById('ai-cards-apply');
+    if (aiCardsApplyButton) {
+        aiCardsApplyButton.addEventListener('click', applyAiProposals);
+    }
+    
+    // [...] buttons wrap the selected text in the next cloze number
+    document.querySelectorAll('.cloze-wrap-button').forEach(button => {
+        button.addEventListener('click', () => wrapClozeSelection(document.getElementById(button.dataset.target)));
+    });
 
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyPress);
@@ -980,6 +1108,12 @@ function setupSelectionListeners() {
             currentNotebookId = notebookId;
             currentSectionId = '';
             
+            // Whole-notebook actions only need a notebook
+            const syncNotebookButton = document.getElementById('sync-notebook-button');
+            if (syncNotebookButton) syncNotebookButton.disabled = false;
+            const watchNotebookButton = document.getElementById('watch-notebook-button');
+            if (watchNotebookButton) watchNotebookButton.disabled = false;
+            
             // Disable sync buttons until section is selected
             const syncButton = document.getElementById('sync-button');
             const fullSyncButton = document.getElementById('full-sync-button');
@@ -998,16 +1132,7 @@ function setupSelectionListeners() {
             const sectionId = this.value;
             if (!sectionId) return;
             
-            currentSectionId = sectionId;
-            
-            // Enable sync buttons
-            const syncButton = document.getElementById('sync-button');
-            const fullSyncButton = document.getElementById('full-sync-button');
-            if (syncButton) syncButton.disabled = false;
-            if (fullSyncButton) fullSyncButton.disabled = false;
-            
-            // Save selection for future visits
-            saveSelection();
+            selectSection(sectionId);
         });
     }
 }
@@ -1036,6 +1161,74 @@ function setupSyncButtons() {
             }
         });
     }
+    
+    // Whole-notebook sync button
+    const syncNotebookButton = document.getElementById('sync-notebook-button');
+    if (syncNotebookButton) {
+        syncNotebookButton.addEventListener('click', () => {
+            if (currentNotebookId) {
+                syncNotebook(currentNotebookId);
+            } else {
+                showNotification('Please select a notebook first', true);
+            }
+        });
+    }
+    
+    // Subscription buttons
+    const subscribeSectionButton = document.getElementById('subscribe-section-button');
+    if (subscribeSectionButton) {
+        subscribeSectionButton.addEventListener('click', () => {
+            if (!currentSectionId) {
+                showNotification('Please select a section first', true);
+                return;
+            }
+            const sectionSelect = document.getElementById('section-select');
+            const option = sectionSelect && sectionSelect.querySelector(`option[value="${currentSectionId}"]`);
+            addSubscription('section', currentSectionId, option ? option.textContent : 'Section');
+        });
+    }
+    
+    const subscribeNotebookButton = document.getElementById('subscribe-notebook-button');
+    if (subscribeNotebookButton) {
+        subscribeNotebookButton.addEventListener('click', () => {
+            if (!currentNotebookId) {
+                showNotification('Please select a notebook first', true);
+                return;
+            }
+            addSubscription('notebook', currentNotebookId, getNotebookName(currentNotebookId));
+        });
+    }
+    
+    const syncSubscriptionsButton = document.getElementById('sync-subscriptions-button');
+    if (syncSubscriptionsButton) {
+        syncSubscriptionsButton.addEventListener('click', syncSubscriptions);
+    }
+    
+    // Change-notification (webhook) subscriptions
+    const watchNotebookButton = document.getElementById('watch-notebook-button');
+    if (watchNotebookButton) {
+        watchNotebookButton.addEventListener('click', () => {
+            if (!currentNotebookId) {
+                showNotification('Please select a notebook first', true);
+                return;
+            }
+            addWebhookSubscription('notebook', currentNotebookId, getNotebookName(currentNotebookId));
+        });
+    }
+    
+    // Document import
+    const importInput = document.getElementById('import-document-input');
+    const importButton = document.getElementById('import-document-button');
+    if (importInput && importButton) {
+        importInput.addEventListener('change', () => {
+            importButton.disabled = importInput.files.length === 0;
+        });
+        importButton.addEventListener('click', async () => {
+            await importDocuments(Array.from(importInput.files));
+            importInput.value = '';
+            importButton.disabled = true;
+        });
+    }
 }
 
 function setupSearchListeners() {
@@ -1130,6 +1323,32 @@ function setupFlashcardControls() {
         studyEasyBtn.addEventListener('click', () => answerStudyCard('easy'));
     }
     
+    // AI tutor for the revealed answer
+    const studyExplainBtn = document.getElementById('study-explain-button');
+    if (studyExplainBtn) {
+        studyExplainBtn.addEventListener('click', explainStudyCard);
+    }
+    
+    const studyExplainAskBtn = document.getElementById('study-explain-ask');
+    if (studyExplainAskBtn) {
+        studyExplainAskBtn.addEventListener('click', askExplanationFollowUp);
+    }
+    
+    const studyExplainQuestion = document.getElementById('study-explain-question');
+    if (studyExplainQuestion) {
+        studyExplainQuestion.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                askExplanationFollowUp();
+            }
+        });
+    }
+    
+    const studyExplainSaveBtn = document.getElementById('study-explain-save');
+    if (studyExplainSaveBtn) {
+        studyExplainSaveBtn.addEventListener('click', saveExplanationToCard);
+    }
+    
     // Exit study mode button
     const exitStudyBtn = document.getElementById('exit-study-mode');
     if (exitStudyBtn) {
@@ -1146,8 +1365,10 @@ function setupFlashcardControls() {
     const editCardButton = document.getElementById('edit-card-button');
     if (editCardButton) {
         editCardButton.addEventListener('click', () => {
-            if (currentPageId && currentCardIndex !== null) {
-                openCardEditor(currentPageId, currentCardIndex);
+            const card = currentPageId && allFlashcards[currentPageId] &&
+                allFlashcards[currentPageId].cards[currentCardIndex];
+            if (card) {
+                openCardEditor(currentPageId, card.id);
             }
         });
     }
@@ -1260,6 +1481,88 @@ function setupSettingsPanel() {
         });
     }
     
+    // Generation model (stored on the server, sync does the generating)
+    const llmProviderSelect = document.getElementById('llm-provider-select');
+    const llmModelInput = document.getElementById('llm-model-input');
+    const saveLLMSetting = () => {
+        const provider = llmProviderSelect.value;
+        saveServerSettings({ llm: provider ? { provider, model: llmModelInput ? llmModelInput.value : '' } : null });
+    };
+    if (llmProviderSelect) {
+        llmProviderSelect.addEventListener('change', () => {
+            // A model name rarely carries over between providers
+            if (llmModelInput) llmModelInput.value = '';
+            saveLLMSetting();
+        });
+    }
+    if (llmModelInput && llmProviderSelect) {
+        llmModelInput.addEventListener('change', saveLLMSetting);
+    }
+    
+    // Per-deck model
+    const deckLLMSelect = document.getElementById('deck-llm-select');
+    const deckLLMModel = document.getElementById('deck-llm-model');
+    if (deckLLMSelect) {
+        deckLLMSelect.addEventListener('change', () => {
+            if (deckLLMModel) deckLLMModel.value = '';
+            if (currentPageId) saveDeckLLM(currentPageId);
+        });
+    }
+    if (deckLLMModel) {
+        deckLLMModel.addEventListener('change', () => {
+            if (currentPageId) saveDeckLLM(currentPageId);
+        });
+    }
+    
+    // Prompt templates (stored on the server, sync does the generating)
+    const promptScopeSelect = document.getElementById('prompt-scope-select');
+    if (promptScopeSelect) {
+        promptScopeSelect.addEventListener('change', showPromptScope);
+    }
+    
+    const promptPresetSelect = document.getElementById('prompt-preset-select');
+    const promptTemplateInput = document.getElementById('prompt-template-input');
+    const resetPromptTemplate = () => {
+        if (promptInfo && promptTemplateInput) {
+            promptTemplateInput.value = getPresetTemplate(promptPresetSelect.value);
+        }
+    };
+    if (promptPresetSelect) {
+        promptPresetSelect.addEventListener('change', resetPromptTemplate);
+    }
+    
+    const promptButtons = {
+        'prompt-save-button': savePromptTemplate,
+        'prompt-reset-button': resetPromptTemplate,
+        'prompt-remove-button': removePromptTemplate,
+        'prompt-preview-button': previewPromptTemplate,
+        'prompt-outdated-button': regenerateOutdatedDecks
+    };
+    Object.entries(promptButtons).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', handler);
+    });
+    
+    const usageRefreshButton = document.getElementById('usage-refresh-button');
+    if (usageRefreshButton) {
+        usageRefreshButton.addEventListener('click', loadUsage);
+    }
+    
+    // OneNote writeback (stored on the server, sync does the writing)
+    const writebackToggle = document.getElementById('writeback-toggle');
+    if (writebackToggle) {
+        writebackToggle.addEventListener('change', function() {
+            saveServerSettings({ writeback: { enabled: this.checked } });
+        });
+    }
+    
+    const writebackModeSelect = document.getElementById('writeback-mode');
+    if (writebackModeSelect) {
+        writebackModeSelect.addEventListener('change', function() {
+            saveServerSettings({ writeback: { mode: this.value } });
+        });
+    }
+    
     // Reset settings button
     const resetSettingsBtn = document.getElementById('reset-settings');
     if (resetSettingsBtn) {
@@ -1283,134 +1586,638 @@ function setupSettingsPanel() {
     }
 }
 
-function toggleSpacedRepetitionUI() {
-    const answerButtonsContainer = document.getElementById('answer-buttons-container');
-    const standardButtonsContainer = document.getElementById('standard-buttons-container');
-    
-    if (userSettings.useSpacedRepetition) {
-        if (answerButtonsContainer) answerButtonsContainer.style.display = 'flex';
-        if (standardButtonsContainer) standardButtonsContainer.style.display = 'none';
-    } else {
-        if (answerButtonsContainer) answerButtonsContainer.style.display = 'none';
-        if (standardButtonsContainer) standardButtonsContainer.style.display = 'flex';
-    }
-}
+// Providers for the model pickers, loaded with the server settings
+let llmProviderInfo = null;
 
-function setupTagsFilter() {
-    // Populate tag list for filter
-    const tagFilterContainer = document.getElementById('tag-filter-container');
-    if (tagFilterContainer) {
-        updateTagFilterList();
-        
-        // Tag filter clear button
-        const clearTagsButton = document.getElementById('clear-tags-filter');
-        if (clearTagsButton) {
-            clearTagsButton.addEventListener('click', () => {
-                activeFilters.tags = [];
-                updateTagFilterDisplay();
-                filterPages();
-            });
+// Load the settings kept on the server
+async function loadServerSettings() {
+    try {
+        const response = await fetch('/api/settings');
+        if (!response.ok) {
+            throw new Error(`Failed to load settings: ${response.status}`);
+        }
+        const settings = await response.json();
+        
+        const providersResponse = await fetch('/api/llm/providers');
+        if (providersResponse.ok) {
+            llmProviderInfo = await providersResponse.json();
+            fillLLMProviderSelect(document.getElementById('llm-provider-select'),
+                `Server default (${llmProviderInfo.default.provider} / ${llmProviderInfo.default.model})`);
+            fillLLMProviderSelect(document.getElementById('deck-llm-select'), 'Default');
         }
+        
+        applyServerSettings(settings);
+    } catch (error) {
+        console.error('Error loading server settings:', error);
     }
-    
-    // Tag select dropdown
-    const tagSelect = document.getElementById('tag-filter');
-    if (tagSelect) {
-        tagSelect.addEventListener('change', function() {
-            const selectedTag = this.value;
-            if (selectedTag && !activeFilters.tags.includes(selectedTag)) {
-                activeFilters.tags.push(selectedTag);
-                this.value = ''; // Reset select
-                updateTagFilterDisplay();
-                filterPages();
-            }
-        });
+}
+
+function fillLLMProviderSelect(select, defaultLabel) {
+    if (!select || !llmProviderInfo) return;
+    
+    select.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = defaultLabel;
+    select.appendChild(defaultOption);
+    
+    llmProviderInfo.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.name;
+        option.textContent = provider.configured ? provider.name : `${provider.name} (not configured)`;
+        option.disabled = !provider.configured;
+        select.appendChild(option);
+    });
+}
+
+function getLLMDefaultModel(providerName) {
+    const provider = llmProviderInfo && llmProviderInfo.providers.find(item => item.name === providerName);
+    return provider ? provider.defaultModel : 'Provider default';
+}
+
+// Show the deck's pinned model (if any) above the current card
+function updateDeckLLMPicker(pageId) {
+    const select = document.getElementById('deck-llm-select');
+    const modelInput = document.getElementById('deck-llm-model');
+    const deckLLM = (allFlashcards[pageId] && allFlashcards[pageId].llm) || null;
+    
+    if (select) select.value = deckLLM ? deckLLM.provider : '';
+    if (modelInput) {
+        modelInput.value = deckLLM && deckLLM.model ? deckLLM.model : '';
+        modelInput.placeholder = deckLLM ? getLLMDefaultModel(deckLLM.provider) : 'Provider default';
+        modelInput.disabled = !deckLLM;
     }
+}
+
+async function saveDeckLLM(pageId) {
+    const select = document.getElementById('deck-llm-select');
+    const modelInput = document.getElementById('deck-llm-model');
+    const provider = select ? select.value : '';
     
-    // Difficulty filter
-    const difficultyFilter = document.getElementById('difficulty-filter');
-    if (difficultyFilter) {
-        difficultyFilter.addEventListener('change', function() {
-            activeFilters.difficulty = this.value;
-            filterPages();
+    try {
+        const response = await fetch(`/api/flashcards/page/${encodeURIComponent(pageId)}/llm`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ provider: provider || null, model: modelInput ? modelInput.value : '' })
         });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to save deck model: ${response.status}`);
+        }
+        
+        // Keep the local copy in step so the next full save doesn't drop it
+        allFlashcards[pageId].llm = result.llm;
+        saveFlashcardsToLocalStorage();
+        updateDeckLLMPicker(pageId);
+        showNotification(provider ? `Deck will use ${provider} on its next regeneration` : 'Deck uses the default model');
+    } catch (error) {
+        console.error('Error saving deck model:', error);
+        showNotification(`Error saving deck model: ${error.message}`, true);
     }
-    
-    // Status filter
-    const statusFilter = document.getElementById('status-filter');
-    if (statusFilter) {
-        statusFilter.addEventListener('change', function() {
-            activeFilters.status = this.value;
-            filterPages();
+}
+
+async function saveServerSettings(changes) {
+    try {
+        const response = await fetch('/api/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
         });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to save settings: ${response.status}`);
+        }
+        applyServerSettings(result);
+        showNotification('Settings saved');
+    } catch (error) {
+        console.error('Error saving server settings:', error);
+        showNotification(`Error saving settings: ${error.message}`, true);
     }
 }
 
-function updateTagFilterList() {
-    // Get all tags from all cards
-    tagList = [];
+function applyServerSettings(settings) {
+    const llmProviderSelect = document.getElementById('llm-provider-select');
+    const llmModelInput = document.getElementById('llm-model-input');
+    if (llmProviderSelect) llmProviderSelect.value = settings.llm ? settings.llm.provider : '';
+    if (llmModelInput) {
+        llmModelInput.value = settings.llm && settings.llm.model ? settings.llm.model : '';
+        llmModelInput.placeholder = settings.llm ? getLLMDefaultModel(settings.llm.provider) : 'Provider default';
+        llmModelInput.disabled = !settings.llm;
+    }
     
-    Object.values(allFlashcards).forEach(page => {
-        if (!page.cards) return;
-        
-        page.cards.forEach(card => {
-            if (card && card.tags && Array.isArray(card.tags)) {
-                card.tags.forEach(tag => {
-                    if (!tagList.includes(tag)) {
-                        tagList.push(tag);
-                    }
-                });
-            }
-        });
-    });
+    const writeback = settings.writeback || {};
+    const writebackToggle = document.getElementById('writeback-toggle');
+    const writebackModeSelect = document.getElementById('writeback-mode');
+    const writebackPermission = document.getElementById('writeback-permission');
     
-    // Sort tags alphabetically
-    tagList.sort();
+    if (writebackToggle) writebackToggle.checked = !!writeback.enabled;
+    if (writebackModeSelect) writebackModeSelect.value = writeback.mode || 'page';
     
-    // Update tag filter dropdown
-    const tagSelect = document.getElementById('tag-filter');
-    if (tagSelect) {
-        tagSelect.innerHTML = '<option value="">Filter by tag...</option>';
-        
-        tagList.forEach(tag => {
-            const option = document.createElement('option');
-            option.value = tag;
-            option.textContent = tag;
-            tagSelect.appendChild(option);
-        });
+    // Writing needs Notes.ReadWrite, which is only requested on opt-in
+    if (writebackPermission) {
+        writebackPermission.style.display = writeback.enabled && !writeback.granted ? 'block' : 'none';
     }
 }
 
-function updateTagFilterDisplay() {
-    const activeTagsContainer = document.getElementById('active-tags-container');
-    if (!activeTagsContainer) return;
-    
-    activeTagsContainer.innerHTML = '';
-    
-    activeFilters.tags.forEach(tag => {
-        const tagElement = document.createElement('span');
-        tagElement.className = 'badge bg-secondary me-1 mb-1 tag-item';
-        tagElement.textContent = tag;
+// Prompt templates: built-in presets plus the user's templates per scope
+let promptInfo = null;
+
+async function loadPromptTemplates() {
+    try {
+        const response = await fetch('/api/prompts');
+        if (!response.ok) {
+            throw new Error(`Failed to load prompt templates: ${response.status}`);
+        }
+        promptInfo = await response.json();
         
-        // Add remove button
-        const removeButton = document.createElement('span');
-        removeButton.className = 'tag-remove ms-1';
-        removeButton.innerHTML = '&times;';
-        removeButton.addEventListener('click', () => {
-            activeFilters.tags = activeFilters.tags.filter(t => t !== tag);
-            updateTagFilterDisplay();
-            filterPages();
-        });
+        const presetSelect = document.getElementById('prompt-preset-select');
+        if (presetSelect) {
+            presetSelect.innerHTML = '';
+            promptInfo.presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.name;
+                option.textContent = preset.label;
+                presetSelect.appendChild(option);
+            });
+        }
         
-        tagElement.appendChild(removeButton);
-        activeTagsContainer.appendChild(tagElement);
-    });
+        renderPromptScopes();
+    } catch (error) {
+        console.error('Error loading prompt templates:', error);
+    }
 }
 
-function setupStudyOptions() {
-    // Custom study button
-    const customStudyButton = document.getElementById('custom-study-button');
-    if (customStudyButton) {
+function getSectionName(sectionId) {
+    const sectionSelect = document.getElementById('section-select');
+    const option = sectionSelect && sectionSelect.querySelector(`option[value="${sectionId}"]`);
+    return option ? option.textContent.trim() : 'Selected section';
+}
+
+// Scopes the editor can work on: the default, the selected notebook and
+// section, and any other notebook or section that already has a template
+function renderPromptScopes() {
+    const select = document.getElementById('prompt-scope-select');
+    if (!select || !promptInfo) return;
+    
+    const previous = select.value;
+    const { prompts } = promptInfo;
+    const scopes = [{ value: 'default:', label: 'All notebooks (default)' }];
+    const seen = new Set(['default:']);
+    const addScope = (scope, id, label) => {
+        const value = `${scope}:${id}`;
+        if (seen.has(value)) return;
+        seen.add(value);
+        scopes.push({ value, label });
+    };
+    
+    if (currentNotebookId) addScope('notebook', currentNotebookId, `Notebook: ${getNotebookName(currentNotebookId)}`);
+    if (currentSectionId) addScope('section', currentSectionId, `Section: ${getSectionName(currentSectionId)}`);
+    Object.entries(prompts.notebooks).forEach(([id, entry]) => addScope('notebook', id, `Notebook: ${entry.displayName}`));
+    Object.entries(prompts.sections).forEach(([id, entry]) => addScope('section', id, `Section: ${entry.displayName}`));
+    
+    select.innerHTML = '';
+    scopes.forEach(scope => {
+        const option = document.createElement('option');
+        option.value = scope.value;
+        option.textContent = scope.label;
+        select.appendChild(option);
+    });
+    select.value = seen.has(previous) ? previous : 'default:';
+    
+    renderPromptPreviewPages();
+    showPromptScope();
+}
+
+function getSelectedPromptScope() {
+    const select = document.getElementById('prompt-scope-select');
+    const [scope, ...rest] = (select ? select.value : 'default:').split(':');
+    const id = rest.join(':');
+    const label = select && select.selectedOptions[0] ? select.selectedOptions[0].textContent : '';
+    return { scope, id, displayName: label.replace(/^(Notebook|Section): /, '') };
+}
+
+function getPromptEntry(scope, id) {
+    if (!promptInfo) return null;
+    const { prompts } = promptInfo;
+    if (scope === 'default') return prompts.default;
+    return (scope === 'notebook' ? prompts.notebooks : prompts.sections)[id] || null;
+}
+
+function getPresetTemplate(presetName) {
+    const preset = promptInfo.presets.find(item => item.name === presetName) ||
+        promptInfo.presets.find(item => item.name === promptInfo.defaultPreset);
+    return preset.template;
+}
+
+// Show the scope's own template, or the one it currently inherits
+function showPromptScope() {
+    if (!promptInfo) return;
+    
+    const { scope, id } = getSelectedPromptScope();
+    const { prompts } = promptInfo;
+    let entry = getPromptEntry(scope, id);
+    let inheritedFrom = null;
+    
+    if (!entry) {
+        // Only the selected section's notebook is known on the client
+        const notebookEntry = scope === 'section' && id === currentSectionId && currentNotebookId
+            ? prompts.notebooks[currentNotebookId] : null;
+        if (notebookEntry) {
+            entry = notebookEntry;
+            inheritedFrom = `the notebook ${notebookEntry.displayName}`;
+        } else if (scope !== 'default' && prompts.default) {
+            entry = prompts.default;
+            inheritedFrom = 'the default template';
+        } else {
+            inheritedFrom = 'the built-in preset';
+        }
+    }
+    
+    const preset = entry ? entry.preset : promptInfo.defaultPreset;
+    const presetSelect = document.getElementById('prompt-preset-select');
+    const templateInput = document.getElementById('prompt-template-input');
+    const inherited = document.getElementById('prompt-inherited');
+    const removeButton = document.getElementById('prompt-remove-button');
+    
+    if (presetSelect) presetSelect.value = preset;
+    if (templateInput) templateInput.value = entry && entry.template ? entry.template : getPresetTemplate(preset);
+    if (inherited) inherited.textContent = inheritedFrom ? `Not set - using ${inheritedFrom}.` : '';
+    if (removeButton) removeButton.disabled = !getPromptEntry(scope, id);
+}
+
+async function savePromptTemplate() {
+    const { scope, id, displayName } = getSelectedPromptScope();
+    const presetSelect = document.getElementById('prompt-preset-select');
+    const templateInput = document.getElementById('prompt-template-input');
+    
+    try {
+        const response = await fetch('/api/prompts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                scope,
+                id,
+                displayName,
+                preset: presetSelect.value,
+                template: templateInput.value
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to save template: ${response.status}`);
+        }
+        
+        promptInfo.prompts = result.prompts;
+        renderPromptScopes();
+        loadOutdatedDecks();
+        showNotification('Template saved - it applies from the next regeneration');
+    } catch (error) {
+        console.error('Error saving prompt template:', error);
+        showNotification(`Error saving template: ${error.message}`, true);
+    }
+}
+
+async function removePromptTemplate() {
+    const { scope, id } = getSelectedPromptScope();
+    
+    try {
+        const response = await fetch(`/api/prompts/${scope}${id ? `/${encodeURIComponent(id)}` : ''}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to remove template: ${response.status}`);
+        }
+        
+        promptInfo.prompts = result.prompts;
+        renderPromptScopes();
+        loadOutdatedDecks();
+        showNotification('Template removed');
+    } catch (error) {
+        console.error('Error removing prompt template:', error);
+        showNotification(`Error removing template: ${error.message}`, true);
+    }
+}
+
+// Pages of the selected section can be used for the preview
+function renderPromptPreviewPages() {
+    const select = document.getElementById('prompt-preview-page');
+    if (!select) return;
+    
+    const previous = select.value;
+    select.innerHTML = '<option value="">Sample page for the preset</option>';
+    getActivePageIds()
+        .filter(pageId => allFlashcards[pageId].sectionId && allFlashcards[pageId].sectionId === currentSectionId)
+        .forEach(pageId => {
+            const option = document.createElement('option');
+            option.value = pageId;
+            option.textContent = allFlashcards[pageId].pageTitle;
+            select.appendChild(option);
+        });
+    if (select.querySelector(`option[value="${previous}"]`)) select.value = previous;
+}
+
+async function previewPromptTemplate() {
+    const presetSelect = document.getElementById('prompt-preset-select');
+    const templateInput = document.getElementById('prompt-template-input');
+    const pageSelect = document.getElementById('prompt-preview-page');
+    const previewButton = document.getElementById('prompt-preview-button');
+    const preview = document.getElementById('prompt-preview');
+    const promptText = document.getElementById('prompt-preview-text');
+    const cardsList = document.getElementById('prompt-preview-cards');
+    
+    if (previewButton) previewButton.disabled = true;
+    try {
+        const response = await fetch('/api/prompts/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                preset: presetSelect.value,
+                template: templateInput.value,
+                pageId: pageSelect && pageSelect.value ? pageSelect.value : null
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Preview failed: ${response.status}`);
+        }
+        
+        promptText.textContent = result.prompt;
+        cardsList.innerHTML = '';
+        result.cards.forEach(card => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item';
+            item.innerHTML = `<div class="fw-semibold">${renderCardFace(card, 'question')}</div><div class="text-muted">${renderCardFace(card, 'answer')}</div>`;
+            cardsList.appendChild(item);
+        });
+        if (result.cards.length === 0) {
+            cardsList.innerHTML = '<li class="list-group-item text-muted">No cards generated</li>';
+        }
+        preview.style.display = 'block';
+        
+        const chunks = result.chunks > 1 ? ` in ${result.chunks} chunks` : '';
+        showNotification(`${result.cards.length} cards from "${result.pageTitle}"${chunks}`);
+    } catch (error) {
+        console.error('Error previewing prompt template:', error);
+        showNotification(`Preview failed: ${error.message}`, true);
+    } finally {
+        if (previewButton) previewButton.disabled = false;
+    }
+}
+
+// Decks with cards written by an older prompt version than their template
+// now gives - offered for regeneration under the prompt editor
+async function loadOutdatedDecks() {
+    const container = document.getElementById('prompt-outdated');
+    const text = document.getElementById('prompt-outdated-text');
+    if (!container || !text) return;
+    
+    try {
+        const response = await fetch('/api/prompts/outdated');
+        if (!response.ok) {
+            throw new Error(`Failed to load outdated decks: ${response.status}`);
+        }
+        const { decks } = await response.json();
+        const cards = decks.reduce((sum, deck) => sum + deck.outdatedCards, 0);
+        
+        text.textContent = `${cards} card${cards === 1 ? '' : 's'} in ${decks.length} deck${decks.length === 1 ? '' : 's'} were made with an older prompt.`;
+        text.title = decks.map(deck => `${deck.pageTitle}: ${deck.outdatedCards} of ${deck.cards}`).join('\n');
+        container.style.display = decks.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error loading outdated decks:', error);
+    }
+}
+
+async function regenerateOutdatedDecks() {
+    const button = document.getElementById('prompt-outdated-button');
+    if (!confirm('Regenerate the cards made with an older prompt? Your edits and study progress are kept.')) {
+        return;
+    }
+    
+    if (button) button.disabled = true;
+    try {
+        const response = await fetch('/api/prompts/outdated/regenerate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Regeneration failed: ${response.status}`);
+        }
+        
+        await loadFlashcards();
+        await loadOutdatedDecks();
+        const { regenerated, failed } = result.summary;
+        showNotification(`Regenerated ${regenerated} deck${regenerated === 1 ? '' : 's'}` + (failed > 0 ? `, ${failed} failed` : ''), failed > 0);
+    } catch (error) {
+        console.error('Error regenerating outdated decks:', error);
+        showNotification(`Regeneration failed: ${error.message}`, true);
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+// AI usage panel in settings: quotas, this month by model, last 30 days
+async function loadUsage() {
+    try {
+        const response = await fetch('/api/usage');
+        if (!response.ok) {
+            throw new Error(`Failed to load usage: ${response.status}`);
+        }
+        renderUsage(await response.json());
+    } catch (error) {
+        console.error('Error loading usage:', error);
+    }
+}
+
+function formatTokens(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 100000 ? 0 : 1)}k` : String(tokens);
+}
+
+function formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+function renderUsage(usage) {
+    const quotasEl = document.getElementById('usage-quotas');
+    if (quotasEl) {
+        const quotas = [
+            { label: 'Today', used: usage.today.tokens, limit: usage.limits.dailyTokens, format: formatTokens, unit: ' tokens' },
+            { label: 'This month', used: usage.month.tokens, limit: usage.limits.monthlyTokens, format: formatTokens, unit: ' tokens' },
+            { label: 'Monthly budget', used: usage.month.cost, limit: usage.limits.monthlyCost, format: formatCost, unit: '' }
+        ];
+        
+        quotasEl.innerHTML = quotas.map(quota => {
+            if (!quota.limit) {
+                return `<div class="small">${quota.label}: ${quota.format(quota.used)}${quota.unit} <span class="text-muted">(no limit)</span></div>`;
+            }
+            const percent = Math.min(100, Math.round(quota.used / quota.limit * 100));
+            const barClass = percent >= 100 ? 'bg-danger' : percent >= 80 ? 'bg-warning' : 'bg-success';
+            return `
+                <div class="small d-flex justify-content-between">
+                    <span>${quota.label}</span>
+                    <span>${quota.format(quota.used)} of ${quota.format(quota.limit)}${quota.unit}</span>
+                </div>
+                <div class="progress mb-2" style="height: 6px;">
+                    <div class="progress-bar ${barClass}" role="progressbar" style="width: ${percent}%"></div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    const modelsEl = document.getElementById('usage-models');
+    if (modelsEl) {
+        const thisMonth = usage.monthly[0] && usage.monthly[0].period === new Date().toISOString().slice(0, 7) ? usage.monthly[0] : null;
+        modelsEl.innerHTML = thisMonth ? thisMonth.models.map(model => `
+            <tr>
+                <td>${escapeHtml(model.model)} <span class="text-muted">(${escapeHtml(model.provider)})</span></td>
+                <td class="text-end">${model.calls}</td>
+                <td class="text-end">${formatTokens(model.promptTokens + model.responseTokens)}</td>
+                <td class="text-end">${model.priced ? formatCost(model.cost) : '<span class="text-muted" title="No price configured for this model">?</span>'}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="4" class="text-muted">No cards generated this month</td></tr>';
+    }
+    
+    const dailyEl = document.getElementById('usage-daily');
+    if (dailyEl) {
+        dailyEl.innerHTML = usage.daily.length > 0 ? usage.daily.map(day => `
+            <li class="d-flex justify-content-between">
+                <span>${formatDate(new Date(`${day.period}T12:00:00`))}</span>
+                <span>${formatTokens(day.promptTokens + day.responseTokens)} tokens · ${formatCost(day.cost)}</span>
+            </li>
+        `).join('') : '<li class="text-muted">No usage</li>';
+    }
+}
+
+function toggleSpacedRepetitionUI() {
+    const answerButtonsContainer = document.getElementById('answer-buttons-container');
+    const standardButtonsContainer = document.getElementById('standard-buttons-container');
+    
+    if (userSettings.useSpacedRepetition) {
+        if (answerButtonsContainer) answerButtonsContainer.style.display = 'flex';
+        if (standardButtonsContainer) standardButtonsContainer.style.display = 'none';
+    } else {
+        if (answerButtonsContainer) answerButtonsContainer.style.display = 'none';
+        if (standardButtonsContainer) standardButtonsContainer.style.display = 'flex';
+    }
+}
+
+function setupTagsFilter() {
+    // Populate tag list for filter
+    const tagFilterContainer = document.getElementById('tag-filter-container');
+    if (tagFilterContainer) {
+        updateTagFilterList();
+        
+        // Tag filter clear button
+        const clearTagsButton = document.getElementById('clear-tags-filter');
+        if (clearTagsButton) {
+            clearTagsButton.addEventListener('click', () => {
+                activeFilters.tags = [];
+                updateTagFilterDisplay();
+                filterPages();
+            });
+        }
+    }
+    
+    // Tag select dropdown
+    const tagSelect = document.getElementById('tag-filter');
+    if (tagSelect) {
+        tagSelect.addEventListener('change', function() {
+            const selectedTag = this.value;
+            if (selectedTag && !activeFilters.tags.includes(selectedTag)) {
+                activeFilters.tags.push(selectedTag);
+                this.value = ''; // Reset select
+                updateTagFilterDisplay();
+                filterPages();
+            }
+        });
+    }
+    
+    // Difficulty filter
+    const difficultyFilter = document.getElementById('difficulty-filter');
+    if (difficultyFilter) {
+        difficultyFilter.addEventListener('change', function() {
+            activeFilters.difficulty = this.value;
+            filterPages();
+        });
+    }
+    
+    // Status filter
+    const statusFilter = document.getElementById('status-filter');
+    if (statusFilter) {
+        statusFilter.addEventListener('change', function() {
+            activeFilters.status = this.value;
+            filterPages();
+        });
+    }
+}
+
+function updateTagFilterList() {
+    // Get all tags from all cards
+    tagList = [];
+    
+    Object.values(allFlashcards).forEach(page => {
+        if (!page.cards) return;
+        
+        page.cards.forEach(card => {
+            if (card && card.tags && Array.isArray(card.tags)) {
+                card.tags.forEach(tag => {
+                    if (!tagList.includes(tag)) {
+                        tagList.push(tag);
+                    }
+                });
+            }
+        });
+    });
+    
+    // Sort tags alphabetically
+    tagList.sort();
+    
+    // Update tag filter dropdown
+    const tagSelect = document.getElementById('tag-filter');
+    if (tagSelect) {
+        tagSelect.innerHTML = '<option value="">Filter by tag...</option>';
+        
+        tagList.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = tag;
+            tagSelect.appendChild(option);
+        });
+    }
+}
+
+function updateTagFilterDisplay() {
+    const activeTagsContainer = document.getElementById('active-tags-container');
+    if (!activeTagsContainer) return;
+    
+    activeTagsContainer.innerHTML = '';
+    
+    activeFilters.tags.forEach(tag => {
+        const tagElement = document.createElement('span');
+        tagElement.className = 'badge bg-secondary me-1 mb-1 tag-item';
+        tagElement.textContent = tag;
+        
+        // Add remove button
+        const removeButton = document.createElement('span');
+        removeButton.className = 'tag-remove ms-1';
+        removeButton.innerHTML = '&times;';
+        removeButton.addEventListener('click', () => {
+            activeFilters.tags = activeFilters.tags.filter(t => t !== tag);
+            updateTagFilterDisplay();
+            filterPages();
+        });
+        
+        tagElement.appendChild(removeButton);
+        activeTagsContainer.appendChild(tagElement);
+    });
+}
+
+function setupStudyOptions() {
+    // Custom study button
+    const customStudyButton = document.getElementById('custom-study-button');
+    if (customStudyButton) {
         customStudyButton.addEventListener('click', () => {
             const customStudyModal = new bootstrap.Modal(document.getElementById('custom-study-modal'));
             customStudyModal.show();
@@ -1611,6 +2418,13 @@ function handleStudyModeKeyPress(e) {
                 e.preventDefault();
             }
             break;
+        case 'e':
+        case 'E':
+            if (!answerHidden) {
+                explainStudyCard();
+                e.preventDefault();
+            }
+            break;
         case 'Escape':
             exitStudyMode();
             e.preventDefault();
@@ -1656,6 +2470,16 @@ async function loadUserData() {
         // Then load all flashcards from server
         await loadFlashcards();
         
+        // Load sync subscriptions
+        await loadSubscriptions();
+        
+        // Load watched notebooks
+        await loadWebhookSubscriptions();
+        
+        // Load settings that live on the server (writeback)
+        await loadServerSettings();
+        await loadPromptTemplates();
+        
         // Load last selection from local storage
         loadLastSelection();
         
@@ -1715,7 +2539,7 @@ async function loadNotebooks() {
     }
 }
 
-// Load sections for selected notebook
+// Load sections for selected notebook, including sections nested in section groups
 async function loadSections(notebookId) {
     console.log(`Loading sections for notebook: ${notebookId}`);
     try {
@@ -1723,7 +2547,7 @@ async function loadSections(notebookId) {
         
         showLoading('Loading sections...');
         
-        const response = await fetch(`/api/notebooks/${notebookId}/sections`);
+        const response = await fetch(`/api/notebooks/${notebookId}/tree`);
         
         if (response.status === 401) {
             window.location.href = '/auth/signin';
@@ -1734,10 +2558,11 @@ async function loadSections(notebookId) {
             throw new Error(`Failed to fetch sections: ${response.status}`);
         }
         
-        const sections = await response.json();
+        const tree = await response.json();
+        const sections = flattenSectionTree(tree);
         console.log(`Loaded ${sections.length} sections`);
         
-        // Populate sections dropdown
+        // Populate sections dropdown - nested sections are labelled with their group path
         const sectionSelect = document.getElementById('section-select');
         if (sectionSelect) {
             sectionSelect.innerHTML = '<option value="">Select a section</option>';
@@ -1745,11 +2570,14 @@ async function loadSections(notebookId) {
             sections.forEach(section => {
                 const option = document.createElement('option');
                 option.value = section.id;
-                option.textContent = section.displayName;
+                option.textContent = [...section.path, section.displayName].join(' › ');
                 sectionSelect.appendChild(option);
             });
         }
         
+        // Show the hierarchy as a tree
+        renderNotebookTree(tree);
+        
         hideLoading();
         return sections;
     } catch (error) {
@@ -1759,6 +2587,117 @@ async function loadSections(notebookId) {
     }
 }
 
+// Flatten a notebook tree into its sections, keeping each section's group path
+function flattenSectionTree(node, groupPath = []) {
+    let sections = (node.sections || []).map(section => ({ ...section, path: groupPath }));
+    
+    (node.sectionGroups || []).forEach(group => {
+        sections = sections.concat(flattenSectionTree(group, [...groupPath, group.displayName]));
+    });
+    
+    return sections;
+}
+
+// Render the notebook hierarchy (section groups and sections)
+function renderNotebookTree(tree) {
+    const treeContainer = document.getElementById('notebook-tree');
+    if (!treeContainer) return;
+    
+    treeContainer.innerHTML = '';
+    
+    const hasContent = (tree.sections && tree.sections.length > 0) ||
+        (tree.sectionGroups && tree.sectionGroups.length > 0);
+    
+    if (!hasContent) {
+        treeContainer.innerHTML = '<div class="text-muted small">This notebook has no sections.</div>';
+        return;
+    }
+    
+    treeContainer.appendChild(buildTreeList(tree));
+}
+
+function buildTreeList(node) {
+    const list = document.createElement('ul');
+    list.className = 'notebook-tree-list';
+    
+    (node.sectionGroups || []).forEach(group => {
+        const groupItem = document.createElement('li');
+        groupItem.className = 'notebook-tree-group';
+        
+        const label = document.createElement('div');
+        label.className = 'notebook-tree-label';
+        label.innerHTML = '<i class="bi bi-folder2 me-1"></i>';
+        
+        const name = document.createElement('span');
+        name.textContent = group.displayName;
+        label.appendChild(name);
+        
+        const syncGroupButton = document.createElement('button');
+        syncGroupButton.className = 'btn btn-sm btn-link p-0 ms-2';
+        syncGroupButton.innerHTML = '<i class="bi bi-arrow-repeat me-1"></i>Sync group';
+        syncGroupButton.addEventListener('click', () => {
+            syncSectionGroup(currentNotebookId, group.id, group.displayName);
+        });
+        label.appendChild(syncGroupButton);
+        
+        const subscribeGroupButton = document.createElement('button');
+        subscribeGroupButton.className = 'btn btn-sm btn-link p-0 ms-2';
+        subscribeGroupButton.innerHTML = '<i class="bi bi-bookmark-plus me-1"></i>Subscribe';
+        subscribeGroupButton.addEventListener('click', () => {
+            addSubscription('sectionGroup', group.id, group.displayName);
+        });
+        label.appendChild(subscribeGroupButton);
+        
+        groupItem.appendChild(label);
+        groupItem.appendChild(buildTreeList(group));
+        list.appendChild(groupItem);
+    });
+    
+    (node.sections || []).forEach(section => {
+        const sectionItem = document.createElement('li');
+        sectionItem.className = 'notebook-tree-section';
+        sectionItem.dataset.sectionId = section.id;
+        if (section.id === currentSectionId) {
+            sectionItem.classList.add('active');
+        }
+        
+        const label = document.createElement('div');
+        label.className = 'notebook-tree-label';
+        label.innerHTML = '<i class="bi bi-journal-text me-1"></i>';
+        
+        const name = document.createElement('span');
+        name.textContent = section.displayName;
+        label.appendChild(name);
+        
+        sectionItem.appendChild(label);
+        sectionItem.addEventListener('click', () => selectSection(section.id));
+        list.appendChild(sectionItem);
+    });
+    
+    return list;
+}
+
+// Select a section from the tree or the dropdown
+function selectSection(sectionId) {
+    currentSectionId = sectionId;
+    
+    const sectionSelect = document.getElementById('section-select');
+    if (sectionSelect) sectionSelect.value = sectionId;
+    
+    document.querySelectorAll('#notebook-tree .notebook-tree-section').forEach(item => {
+        item.classList.toggle('active', item.dataset.sectionId === sectionId);
+    });
+    
+    // Enable sync buttons
+    const syncButton = document.getElementById('sync-button');
+    const fullSyncButton = document.getElementById('full-sync-button');
+    if (syncButton) syncButton.disabled = false;
+    if (fullSyncButton) fullSyncButton.disabled = false;
+    
+    // Save selection for future visits
+    saveSelection();
+}
+
 // Load all flashcards
 async function loadFlashcards() {
     console.log('Loading flashcards...');
@@ -1777,7 +2716,7 @@ async function loadFlashcards() {
         }
         
         // Get flashcards from server
-        const serverFlashcards = await response.json();
+        const serverFlashcards = ensureCardIds(await response.json());
         const flashcardCount = Object.keys(serverFlashcards).length;
         console.log(`Loaded flashcards for ${flashcardCount} pages from server`);
         
@@ -1787,23 +2726,38 @@ async function loadFlashcards() {
             Object.entries(serverFlashcards).forEach(([pageId, pageData]) => {
                 // If we already have this page, merge cards
                 if (allFlashcards[pageId]) {
-                    // Update page title and last updated
-                    allFlashcards[pageId].pageTitle = pageData.pageTitle;
-                    allFlashcards[pageId].lastUpdated = pageData.lastUpdated;
+                    // Take all deck metadata from the server (title, section,
+                    // archive state, links, writeback, model...) - only the
+                    // cards need merging
+                    const { cards: serverDeckCards, ...deckFields } = pageData;
+                    Object.assign(allFlashcards[pageId], deckFields);
+                    allFlashcards[pageId].archived = pageData.archived || false;
                     
-                    // Store existing cards by question for fast lookup
+                    // Store existing cards by id (and by question, for cards
+                    // the server gave a different id when migrating) for
+                    // fast lookup
+                    const existingCardsById = {};
                     const existingCardsByQuestion = {};
                     allFlashcards[pageId].cards.forEach((card, index) => {
-                        if (card && card.question) {
-                            existingCardsByQuestion[card.question] = { card, index };
-                        }
+                        if (!card) return;
+                        if (card.id) existingCardsById[card.id] = { card, index };
+                        if (card.question) existingCardsByQuestion[card.question] = { card, index };
                     });
                     
                     // Process each server card
                     const updatedCards = [];
                     pageData.cards.forEach(serverCard => {
                         // Try to find matching card in local data
-                        const existingData = existingCardsByQuestion[serverCard.question];
+                        let existingData = existingCardsById[serverCard.id];
+                        if (!existingData) {
+                            const sameQuestion = existingCardsByQuestion[serverCard.question];
+                            const idUnknownToServer = sameQuestion &&
+                                !pageData.cards.some(card => card.id === sameQuestion.card.id);
+                            if (idUnknownToServer) {
+                                existingData = sameQuestion;
+                                rememberCardIdChange(sameQuestion.card.id, serverCard.id);
+                            }
+                        }
                         
                         if (existingData) {
                             // Preserve study data with priority to server data if available
@@ -1864,6 +2818,9 @@ async function loadFlashcards() {
             allFlashcards = serverFlashcards;
         }
         
+        // Review history may still point at ids the server replaced
+        migrateReviewHistoryIds();
+        
         // Save merged flashcards to localStorage
         saveFlashcardsToLocalStorage();
         
@@ -1876,7 +2833,7 @@ async function loadFlashcards() {
         // Update pages count badge
         const pagesCount = document.getElementById('pages-count');
         if (pagesCount) {
-            pagesCount.textContent = Object.keys(allFlashcards).length;
+            pagesCount.textContent = getActivePageIds().length;
         }
         
         // Update due counts
@@ -1914,8 +2871,11 @@ function renderPagesList(filteredPageIds) {
     // Clear the list
     pagesList.innerHTML = '';
     
-    // Get page IDs - either filtered or all
-    const pageIds = filteredPageIds || Object.keys(allFlashcards);
+    // Get page IDs - either filtered or all active decks
+    const pageIds = filteredPageIds || getActivePageIds();
+    
+    // Archived decks are listed separately with a restore option
+    renderArchivedDecks();
     
     // Check if we have any pages
     if (pageIds.length === 0) {
@@ -2034,9 +2994,77 @@ function renderPagesList(filteredPageIds) {
 }
 
 
+// Page IDs of decks whose OneNote page still exists
+function getActivePageIds() {
+    return Object.keys(allFlashcards).filter(pageId => !allFlashcards[pageId].archived);
+}
+
+// List decks archived because their OneNote page was deleted
+function renderArchivedDecks() {
+    const archivedContainer = document.getElementById('archived-decks-container');
+    const archivedList = document.getElementById('archived-decks-list');
+    if (!archivedContainer || !archivedList) return;
+    
+    const archivedPageIds = Object.keys(allFlashcards).filter(pageId => allFlashcards[pageId].archived);
+    archivedContainer.style.display = archivedPageIds.length > 0 ? 'block' : 'none';
+    archivedList.innerHTML = '';
+    
+    archivedPageIds.forEach(pageId => {
+        const pageData = allFlashcards[pageId];
+        
+        const listItem = document.createElement('li');
+        listItem.className = 'list-group-item d-flex justify-content-between align-items-center';
+        
+        const title = document.createElement('div');
+        const name = document.createElement('span');
+        name.className = 'deck-name text-muted';
+        name.textContent = pageData.pageTitle;
+        title.appendChild(name);
+        
+        const details = document.createElement('span');
+        details.className = 'text-muted small ms-2';
+        details.textContent = `${pageData.cards ? pageData.cards.length : 0} cards` +
+            (pageData.archivedAt ? `, archived ${formatDate(new Date(pageData.archivedAt))}` : '');
+        title.appendChild(details);
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'btn btn-sm btn-outline-primary';
+        restoreButton.innerHTML = '<i class="bi bi-arrow-counterclockwise me-1"></i>Restore';
+        restoreButton.addEventListener('click', () => restoreDeck(pageId));
+        
+        listItem.appendChild(title);
+        listItem.appendChild(restoreButton);
+        archivedList.appendChild(listItem);
+    });
+}
+
+// Restore an archived deck so it shows up in the deck list and study queue again
+async function restoreDeck(pageId) {
+    try {
+        const response = await fetch(`/api/flashcards/page/${pageId}/restore`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to restore deck: ${response.status}`);
+        }
+        
+        allFlashcards[pageId].archived = false;
+        delete allFlashcards[pageId].archivedAt;
+        saveFlashcardsToLocalStorage();
+        
+        renderPagesList();
+        updateDueCounts();
+        showNotification(`Restored "${allFlashcards[pageId].pageTitle}"`);
+    } catch (error) {
+        console.error('Error restoring deck:', error);
+        showNotification('Failed to restore deck. Please try again.', true);
+    }
+}
+
 // Filter pages by search term and other filters
 function filterPages(searchTerm) {
-    let filteredPageIds = Object.keys(allFlashcards);
+    let filteredPageIds = getActivePageIds();
     
     // Apply search term filter
     if (searchTerm) {
@@ -2152,6 +3180,9 @@ function selectPage(pageId) {
         pageTitleEl.textContent = allFlashcards[pageId].pageTitle;
     }
     
+    // Model used when this deck is regenerated
+    updateDeckLLMPicker(pageId);
+    
     // Show/hide auto-advance container
     const autoAdvanceContainer = document.getElementById('auto-advance-container');
     if (autoAdvanceContainer) {
@@ -2223,6 +3254,8 @@ function displayCurrentCard() {
         const editCardButton = document.getElementById('edit-card-button');
         if (editCardButton) editCardButton.style.display = 'none';
         
+        updateOneNoteLink(document.getElementById('open-onenote-button'), currentPageId, null);
+        
         return;
     }
     
@@ -2238,6 +3271,23 @@ function displayCurrentCard() {
     if (cardTags) {
         cardTags.innerHTML = '';
         
+        // The text this card came from is no longer on the page
+        if (card.stale) {
+            const staleEl = document.createElement('span');
+            staleEl.className = 'badge bg-secondary me-1';
+            staleEl.title = `The source text was removed or rewritten${card.staleSince ? ` (${formatDate(new Date(card.staleSince))})` : ''}. The card and its progress are kept.`;
+            staleEl.innerHTML = '<i class="bi bi-exclamation-circle me-1"></i>Stale';
+            cardTags.appendChild(staleEl);
+        }
+        
+        // Cards from paragraphs tagged Important in OneNote
+        if (card.priority === 'high') {
+            const priorityEl = document.createElement('span');
+            priorityEl.className = 'badge bg-warning text-dark me-1';
+            priorityEl.innerHTML = '<i class="bi bi-star-fill me-1"></i>Important';
+            cardTags.appendChild(priorityEl);
+        }
+        
         if (card.tags && card.tags.length > 0) {
             card.tags.forEach(tag => {
                 const tagEl = document.createElement('span');
@@ -2246,6 +3296,16 @@ function displayCurrentCard() {
                 cardTags.appendChild(tagEl);
             });
         }
+        
+        // Which model and prompt produced the card, for tracking down bad ones
+        if (card.provenance) {
+            const { provider, model, promptVersion, generatedAt } = card.provenance;
+            const provenanceEl = document.createElement('span');
+            provenanceEl.className = 'text-muted small ms-1';
+            provenanceEl.title = `Generated by ${model} (${provider}) with prompt ${promptVersion}${generatedAt ? ` on ${formatDate(new Date(generatedAt))}` : ''}`;
+            provenanceEl.innerHTML = '<i class="bi bi-cpu"></i>';
+            cardTags.appendChild(provenanceEl);
+        }
     }
     
     // Display due date if available
@@ -2272,12 +3332,12 @@ function displayCurrentCard() {
     
     // Display question
     if (questionEl) {
-        questionEl.innerHTML = card.question;
+        questionEl.innerHTML = renderCardFace(card, 'question');
     }
     
     // Hide answer initially
     if (answerEl) {
-        answerEl.innerHTML = card.answer;
+        answerEl.innerHTML = renderCardFace(card, 'answer') + renderCardExtra(card);
         answerEl.classList.add('hidden');
     }
     
@@ -2313,6 +3373,116 @@ function displayCurrentCard() {
     // Enable edit button
     const editCardButton = document.getElementById('edit-card-button');
     if (editCardButton) editCardButton.style.display = 'inline-block';
+    
+    updateOneNoteLink(document.getElementById('open-onenote-button'), currentPageId, card);
+}
+
+// Where a card's source page opens in OneNote - the card's own links first,
+// then the deck's (cards generated before links were recorded have none)
+function getOneNoteUrl(pageId, card) {
+    const source = (card && card.source) || {};
+    const links = (allFlashcards[pageId] && allFlashcards[pageId].links) || {};
+    return source.oneNoteWebUrl || links.oneNoteWebUrl ||
+        source.oneNoteClientUrl || links.oneNoteClientUrl || null;
+}
+
+function updateOneNoteLink(linkEl, pageId, card) {
+    if (!linkEl) return;
+    
+    const url = getOneNoteUrl(pageId, card);
+    if (url) {
+        linkEl.href = url;
+        linkEl.style.display = 'inline-block';
+    } else {
+        linkEl.removeAttribute('href');
+        linkEl.style.display = 'none';
+    }
+}
+
+// Cloze deletions, Anki style: {{c1::text}} or {{c1::text::hint}}. Each
+// cloze number is its own sibling card (type 'cloze', clozeNumber) with its
+// own scheduling; `cloze` keeps the source text shared by the siblings
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+function getClozeNumbers(text) {
+    const numbers = new Set();
+    for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+        numbers.add(parseInt(match[1], 10));
+    }
+    return [...numbers].sort((a, b) => a - b);
+}
+
+// Plain-text face, as the server stores it in question/answer
+function renderClozeText(text, number, side) {
+    return String(text).replace(CLOZE_PATTERN, (match, n, content, hint) => {
+        if (side === 'question' && parseInt(n, 10) === number) {
+            return `[${hint ? hint.trim() : '...'}]`;
+        }
+        return content;
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// HTML for one side of a card. Cloze cards show the whole text with their
+// own deletion blanked on the front and highlighted on the back
+function renderCardFace(card, side) {
+    if (card.type !== 'cloze' || !card.cloze) {
+        return side === 'question' ? card.question : card.answer;
+    }
+    
+    return escapeHtml(card.cloze).replace(CLOZE_PATTERN, (match, n, content, hint) => {
+        if (parseInt(n, 10) !== card.clozeNumber) return content;
+        return side === 'question'
+            ? `<span class="cloze-blank">[${hint ? hint.trim() : '...'}]</span>`
+            : `<span class="cloze-answer">${content}</span>`;
+    });
+}
+
+// The explanation saved from the study tutor, shown under the answer
+function renderCardExtra(card) {
+    return card.extra ? `<div class="card-extra">${escapeHtml(card.extra)}</div>` : '';
+}
+
+// One new card per cloze number, sharing `fields` (tags, source...)
+function createClozeSiblings(cloze, fields = {}) {
+    return getClozeNumbers(cloze).map(number => ({
+        id: createCardId(),
+        ...fields,
+        type: 'cloze',
+        cloze,
+        clozeNumber: number,
+        question: renderClozeText(cloze, number, 'question'),
+        answer: renderClozeText(cloze, number, 'answer'),
+        interval: 0,
+        ease: EASE_FACTOR_DEFAULT,
+        due: null,
+        reviewCount: 0,
+        suspended: false,
+        created: new Date().toISOString()
+    }));
+}
+
+function wrapClozeSelection(textarea) {
+    if (!textarea) return;
+    
+    const { selectionStart, selectionEnd, value } = textarea;
+    const selected = value.slice(selectionStart, selectionEnd);
+    const number = Math.max(0, ...getClozeNumbers(value)) + 1;
+    const wrapped = `{{c${number}::${selected}}}`;
+    
+    textarea.value = value.slice(0, selectionStart) + wrapped + value.slice(selectionEnd);
+    textarea.focus();
+    
+    // Leave the cursor inside the braces when nothing was selected
+    const cursor = selected ? selectionStart + wrapped.length : selectionStart + wrapped.length - 2;
+    textarea.setSelectionRange(cursor, cursor);
 }
 
 // Update answer button labels based on card interval
@@ -2665,6 +3835,7 @@ async function syncSection(notebookId, sectionId) {
         // Reload flashcards after successful sync
         if (result.success) {
             updateSyncProgress(75);
+            logPageSyncResults(result);
             addSyncLogEntry(`Processing ${result.cardsUpdated} flashcards`);
             
             await loadFlashcards();
@@ -2672,6 +3843,7 @@ async function syncSection(notebookId, sectionId) {
             
             // Update stats
             cardsGenerated = result.cardsUpdated;
+            pagesProcessed = result.pages ? result.pages.length : 0;
             updateSyncStats();
             
             addSyncLogEntry(`Sync complete - ${result.cardsUpdated} flashcards updated`, 'success');
@@ -2681,10 +3853,11 @@ async function syncSection(notebookId, sectionId) {
             // Save last sync info
             saveLastSyncInfo(notebookId, sectionId);
         } else {
+            const failure = describeSyncFailure(result.error);
             updateSyncProgress(100);
-            addSyncLogEntry('Sync failed - server reported an error', 'error');
-            updateSyncStatus('Sync failed. Please try again.', 'error');
-            showNotification('Sync failed. Please try again.', true);
+            addSyncLogEntry(`Sync failed - ${failure}`, 'error');
+            updateSyncStatus(`Sync failed: ${failure}`, 'error');
+            showNotification(`Sync failed: ${failure}`, true);
         }
     } catch (error) {
         console.error('Sync error:', error);
@@ -2749,6 +3922,8 @@ async function fullSync(notebookId, sectionId) {
         // Reload flashcards after successful sync
         if (result.success) {
             updateSyncProgress(90);
+            logReconciliation(result.reconciliation);
+            logPageSyncResults(result);
             addSyncLogEntry(`Processing ${result.cardsUpdated} flashcards`);
             
             await loadFlashcards();
@@ -2756,6 +3931,7 @@ async function fullSync(notebookId, sectionId) {
             
             // Update stats
             cardsGenerated = result.cardsUpdated;
+            pagesProcessed = result.pages ? result.pages.length : 0;
             updateSyncStats();
             
             addSyncLogEntry(`Sync complete - ${result.cardsUpdated} flashcards created`, 'success');
@@ -2765,10 +3941,11 @@ async function fullSync(notebookId, sectionId) {
             // Save last sync info
             saveLastSyncInfo(notebookId, sectionId);
         } else {
+            const failure = describeSyncFailure(result.error);
             updateSyncProgress(100);
-            addSyncLogEntry('Sync failed - server reported an error', 'error');
-            updateSyncStatus('Full sync failed. Please try again.', 'error');
-            showNotification('Full sync failed. Please try again.', true);
+            addSyncLogEntry(`Sync failed - ${failure}`, 'error');
+            updateSyncStatus(`Full sync failed: ${failure}`, 'error');
+            showNotification(`Full sync failed: ${failure}`, true);
         }
     } catch (error) {
         console.error('Full sync error:', error);
@@ -2787,6 +3964,374 @@ async function fullSync(notebookId, sectionId) {
     }
 }
 
+// Sync every section under a section group
+function syncSectionGroup(notebookId, sectionGroupId, groupName) {
+    return runMultiSectionSync(`/api/sync/section-group/${sectionGroupId}`, `section group "${groupName}"`);
+}
+
+// Sync every section in a notebook
+function syncNotebook(notebookId) {
+    return runMultiSectionSync(`/api/sync/notebook/${notebookId}`, `notebook "${getNotebookName(notebookId)}"`);
+}
+
+// Sync everything the user is subscribed to
+async function syncSubscriptions() {
+    await runMultiSectionSync('/api/sync/subscriptions/run', 'all subscriptions');
+    loadSubscriptions();
+}
+
+// Shared driver for the sync endpoints that cover several sections at once
+async function runMultiSectionSync(url, label) {
+    if (isSyncing) {
+        showNotification('Sync already in progress. Please wait.');
+        return;
+    }
+    
+    try {
+        // Initialize sync UI
+        initSyncUI();
+        isSyncing = true;
+        updateSyncStatus(`Syncing ${label}...`, 'active');
+        showSyncProgressBar(true);
+        updateSyncProgress(10);
+        
+        addSyncLogEntry(`Starting sync for ${label}`);
+        
+        const response = await fetch(url, {
+            method: 'POST'
+        });
+        
+        if (response.status === 401) {
+            window.location.href = '/auth/signin';
+            throw { status: 401, message: 'Authentication required' };
+        }
+        
+        if (!response.ok) {
+            const errorBody = await response.json().catch(() => ({}));
+            throw new Error(errorBody.details ? describeSyncFailure(errorBody.details) : `Sync failed: ${response.status}`);
+        }
+        
+        updateSyncProgress(60);
+        const result = await response.json();
+        
+        if (result.success) {
+            result.sections.forEach(section => {
+                const sectionLabel = [...section.path, section.displayName].join(' › ');
+                if (section.error) {
+                    addSyncLogEntry(`Section "${sectionLabel}" failed - ${describeSyncFailure(section.error)}`, 'error');
+                } else {
+                    addSyncLogEntry(`Section "${sectionLabel}" - ${section.cardsUpdated} flashcards`);
+                    logSyncTiming(section.timing, sectionLabel);
+                }
+            });
+            (result.subscriptionErrors || []).forEach(subscriptionError => {
+                addSyncLogEntry(`Could not sync "${subscriptionError.displayName}" - ${subscriptionError.error}`, 'error');
+            });
+            logPageSyncResults(result);
+            
+            await loadFlashcards();
+            updateSyncProgress(100);
+            
+            // Update stats
+            cardsGenerated = result.cardsUpdated;
+            pagesProcessed = result.pages ? result.pages.length : 0;
+            updateSyncStats();
+            
+            addSyncLogEntry(`Sync complete - ${result.cardsUpdated} flashcards across ${result.sections.length} sections`, 'success');
+            updateSyncStatus(`Sync complete! Updated ${result.cardsUpdated} flashcards.`, 'success');
+            showNotification(`Sync complete! Updated ${result.cardsUpdated} flashcards.`);
+        } else {
+            updateSyncProgress(100);
+            addSyncLogEntry('Sync failed - server reported an error', 'error');
+            updateSyncStatus('Sync failed. Please try again.', 'error');
+            showNotification('Sync failed. Please try again.', true);
+        }
+    } catch (error) {
+        console.error(`Sync error (${label}):`, error);
+        updateSyncProgress(100);
+        addSyncLogEntry(`Sync error: ${error.message}`, 'error');
+        updateSyncStatus(`Failed to sync ${label}. Please try again.`, 'error');
+        showNotification('Failed to sync. Please try again.', true);
+    } finally {
+        // Clean up
+        isSyncing = false;
+        setTimeout(() => {
+            showSyncProgressBar(false);
+            clearSyncProgressInterval();
+        }, 1500);
+    }
+}
+
+// Load the user's sync subscriptions from the server
+async function loadSubscriptions() {
+    try {
+        const response = await fetch('/api/sync/subscriptions');
+        if (!response.ok) {
+            throw new Error(`Failed to fetch subscriptions: ${response.status}`);
+        }
+        
+        const subscriptions = await response.json();
+        renderSubscriptions(subscriptions);
+        return subscriptions;
+    } catch (error) {
+        console.error('Error loading subscriptions:', error);
+        return [];
+    }
+}
+
+// Subscribe to a notebook, section group or section
+async function addSubscription(type, id, displayName) {
+    try {
+        const response = await fetch('/api/sync/subscriptions', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                type,
+                id,
+                notebookId: currentNotebookId,
+                displayName
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to subscribe: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        renderSubscriptions(result.subscriptions);
+        showNotification(`Subscribed to ${displayName}`);
+    } catch (error) {
+        console.error('Error adding subscription:', error);
+        showNotification('Failed to subscribe. Please try again.', true);
+    }
+}
+
+async function removeSubscription(id) {
+    try {
+        const response = await fetch(`/api/sync/subscriptions/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to unsubscribe: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        renderSubscriptions(result.subscriptions);
+    } catch (error) {
+        console.error('Error removing subscription:', error);
+        showNotification('Failed to unsubscribe. Please try again.', true);
+    }
+}
+
+async function loadWebhookSubscriptions() {
+    try {
+        const response = await fetch('/api/webhooks/subscriptions');
+        if (!response.ok) {
+            throw new Error(`Failed to load watched notebooks: ${response.status}`);
+        }
+        const result = await response.json();
+        renderWebhookSubscriptions(result.subscriptions);
+    } catch (error) {
+        console.error('Error loading webhook subscriptions:', error);
+    }
+}
+
+async function addWebhookSubscription(type, id, displayName) {
+    try {
+        const response = await fetch('/api/webhooks/subscriptions', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ type, id, displayName })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to watch: ${response.status}`);
+        }
+        
+        await loadWebhookSubscriptions();
+        showNotification(`Watching ${displayName} for changes`);
+    } catch (error) {
+        console.error('Error adding webhook subscription:', error);
+        showNotification(`Failed to watch ${displayName}: ${error.message}`, true);
+    }
+}
+
+async function renewWebhookSubscription(id) {
+    try {
+        const response = await fetch(`/api/webhooks/subscriptions/${encodeURIComponent(id)}/renew`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to renew: ${response.status}`);
+        }
+        
+        await loadWebhookSubscriptions();
+    } catch (error) {
+        console.error('Error renewing webhook subscription:', error);
+        showNotification('Failed to renew. Please try again.', true);
+    }
+}
+
+async function removeWebhookSubscription(id) {
+    try {
+        const response = await fetch(`/api/webhooks/subscriptions/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to stop watching: ${response.status}`);
+        }
+        
+        await loadWebhookSubscriptions();
+    } catch (error) {
+        console.error('Error removing webhook subscription:', error);
+        showNotification('Failed to stop watching. Please try again.', true);
+    }
+}
+
+function renderWebhookSubscriptions(subscriptions) {
+    const list = document.getElementById('webhook-subscriptions-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (subscriptions.length === 0) {
+        list.innerHTML = '<li class="list-group-item text-muted small">No notebooks are being watched.</li>';
+        return;
+    }
+    
+    subscriptions.forEach(subscription => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex justify-content-between align-items-center';
+        
+        const label = document.createElement('div');
+        label.innerHTML = `<i class="bi ${subscription.type === 'section' ? 'bi-journal-text' : 'bi-journals'} me-2"></i>`;
+        
+        const name = document.createElement('span');
+        name.textContent = subscription.displayName;
+        label.appendChild(name);
+        
+        const expires = document.createElement('span');
+        expires.className = 'text-muted small ms-2';
+        expires.textContent = `until ${formatDate(new Date(subscription.expirationDateTime))}`;
+        label.appendChild(expires);
+        
+        const buttons = document.createElement('div');
+        
+        const renewButton = document.createElement('button');
+        renewButton.className = 'btn btn-sm btn-outline-secondary me-1';
+        renewButton.innerHTML = '<i class="bi bi-arrow-clockwise"></i>';
+        renewButton.title = 'Renew';
+        renewButton.addEventListener('click', () => renewWebhookSubscription(subscription.id));
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-sm btn-outline-danger';
+        removeButton.innerHTML = '<i class="bi bi-x"></i>';
+        removeButton.title = 'Stop watching';
+        removeButton.addEventListener('click', () => removeWebhookSubscription(subscription.id));
+        
+        buttons.appendChild(renewButton);
+        buttons.appendChild(removeButton);
+        item.appendChild(label);
+        item.appendChild(buttons);
+        list.appendChild(item);
+    });
+}
+
+// Upload documents one at a time - each one is a separate LLM run
+async function importDocuments(files) {
+    if (files.length === 0) return;
+    
+    let imported = 0;
+    for (const [index, file] of files.entries()) {
+        showLoading(`Importing ${file.name} (${index + 1} of ${files.length})...`);
+        try {
+            const formData = new FormData();
+            formData.append('document', file);
+            
+            const response = await fetch('/api/import/document', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || `Import failed: ${response.status}`);
+            }
+            
+            imported++;
+            showNotification(result.status === 'skipped'
+                ? `"${result.pageTitle}" was already imported`
+                : `Imported "${result.pageTitle}" - ${result.cards} cards${result.chunks > 1 ? ` from ${result.chunks} chunks` : ''}`);
+        } catch (error) {
+            console.error(`Error importing ${file.name}:`, error);
+            showNotification(`Failed to import ${file.name}: ${error.message}`, true);
+        }
+    }
+    hideLoading();
+    
+    if (imported > 0) {
+        await loadFlashcards();
+    }
+}
+
+function renderSubscriptions(subscriptions) {
+    const subscriptionsList = document.getElementById('subscriptions-list');
+    if (!subscriptionsList) return;
+    
+    subscriptionsList.innerHTML = '';
+    
+    const syncSubscriptionsButton = document.getElementById('sync-subscriptions-button');
+    if (syncSubscriptionsButton) syncSubscriptionsButton.disabled = subscriptions.length === 0;
+    
+    if (subscriptions.length === 0) {
+        subscriptionsList.innerHTML = '<li class="list-group-item text-muted small">No subscriptions yet. Subscribe to sections or whole notebooks to sync them together.</li>';
+        return;
+    }
+    
+    const icons = {
+        notebook: 'bi-journals',
+        sectionGroup: 'bi-folder2',
+        section: 'bi-journal-text'
+    };
+    
+    subscriptions.forEach(subscription => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex justify-content-between align-items-center';
+        
+        const label = document.createElement('div');
+        label.innerHTML = `<i class="bi ${icons[subscription.type] || 'bi-journal'} me-2"></i>`;
+        
+        const name = document.createElement('span');
+        name.textContent = subscription.displayName;
+        label.appendChild(name);
+        
+        if (subscription.lastSync) {
+            const lastSync = document.createElement('span');
+            lastSync.className = 'text-muted small ms-2';
+            lastSync.textContent = `synced ${formatDate(new Date(subscription.lastSync))}`;
+            label.appendChild(lastSync);
+        }
+        
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-sm btn-outline-danger';
+        removeButton.innerHTML = '<i class="bi bi-x"></i>';
+        removeButton.title = 'Unsubscribe';
+        removeButton.addEventListener('click', () => removeSubscription(subscription.id));
+        
+        item.appendChild(label);
+        item.appendChild(removeButton);
+        subscriptionsList.appendChild(item);
+    });
+}
+
 // Initialize sync UI
 function initSyncUI() {
     // Reset counters
@@ -2876,6 +4421,140 @@ function addSyncLogEntry(message, type = '') {
     syncLog.scrollTop = syncLog.scrollHeight;
 }
 
+// Turn a structured sync error from the server into a readable message
+function describeSyncFailure(error) {
+    if (!error) return 'the server reported an error';
+    
+    if (error.code === 'usageQuotaExceeded') {
+        return `${error.message}. Usage is shown in Settings.`;
+    }
+    
+    const retryHint = error.retryAfter ? ` Try again in ${Math.ceil(error.retryAfter / 1000)}s.` : ' Try again in a few minutes.';
+    
+    if (error.status === 429 || error.code === 'throttled') {
+        return `Microsoft Graph is throttling requests.${retryHint}`;
+    }
+    if (error.status === 503 || error.code === 'serviceUnavailable') {
+        return `OneNote is temporarily unavailable.${retryHint}`;
+    }
+    if (error.status === 401 || error.code === 'unauthenticated') {
+        return 'Your Microsoft session expired. Please sign in again.';
+    }
+    if (error.code === 'networkError') {
+        return 'Could not reach Microsoft Graph.';
+    }
+    return error.message || 'the server reported an error';
+}
+
+// Log what happened to each page (skipped / regenerated / failed)
+function logPageSyncResults(result) {
+    if (!result.pages) return;
+    
+    result.pages.forEach(page => {
+        const retried = page.retry ? ' (retry)' : '';
+        if (page.status === 'regenerated') {
+            // Long pages are generated in several chunks
+            const chunks = page.chunks > 1 ? ` from ${page.chunks} chunks` : '';
+            addSyncLogEntry(`Regenerated "${page.pageTitle}"${retried} - ${page.cards} cards${chunks}${describeCached(page)}${describeMerge(page.merge)}`);
+        } else if (page.status === 'skipped') {
+            addSyncLogEntry(`Skipped "${page.pageTitle}"${retried} - unchanged`);
+        } else if (page.status === 'failed') {
+            addSyncLogEntry(`Failed "${page.pageTitle}"${retried} - ${page.error || 'unknown error'}${describeRetry(page)}`, 'error');
+        }
+        
+        if (page.writebackError) {
+            addSyncLogEntry(`Could not write "${page.pageTitle}" to OneNote - ${page.writebackError}`, 'error');
+        }
+        
+        logParseErrors(page);
+    });
+    
+    if (result.summary) {
+        const { regenerated, skipped, failed } = result.summary;
+        addSyncLogEntry(`${regenerated} regenerated, ${skipped} skipped, ${failed} failed`, failed > 0 ? 'error' : '');
+    }
+    
+    logSyncTiming(result.timing);
+    logFailedPages(result.failedPages);
+}
+
+// Chunks whose model output was reused from the generation cache
+function describeCached(page) {
+    if (!page.cachedChunks) return '';
+    return page.cachedChunks === page.chunks ? ' (cached)' : ` (${page.cachedChunks} cached)`;
+}
+
+// Cards the model got wrong even after a repair attempt
+function logParseErrors(page) {
+    if (!page.parseErrors || page.parseErrors.length === 0) return;
+    
+    if (page.status === 'regenerated') {
+        addSyncLogEntry(`Dropped invalid cards from "${page.pageTitle}":`, 'error');
+    }
+    page.parseErrors.forEach(problem => {
+        addSyncLogEntry(`• ${problem}`, 'error');
+    });
+}
+
+// What regeneration did to the cards already in the deck
+function describeMerge(merge) {
+    if (!merge) return '';
+    const parts = [];
+    if (merge.added) parts.push(`${merge.added} new`);
+    if (merge.updated) parts.push(`${merge.updated} updated`);
+    if (merge.kept) parts.push(`${merge.kept} edited kept`);
+    if (merge.stale) parts.push(`${merge.stale} stale`);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+function describeRetry(page) {
+    if (!page.attempts) return '';
+    return page.willRetry
+        ? ` (attempt ${page.attempts}, will retry on next sync)`
+        : ` (gave up after ${page.attempts} attempts - run a full sync to try again)`;
+}
+
+// Pages still in the retry queue, including ones from earlier syncs
+function logFailedPages(failedPages) {
+    if (!failedPages || failedPages.length === 0) return;
+    
+    addSyncLogEntry(`${failedPages.length} page${failedPages.length === 1 ? '' : 's'} still failing:`, 'error');
+    failedPages.forEach(page => {
+        addSyncLogEntry(`• "${page.pageTitle}" - ${page.error || 'unknown error'}${describeRetry(page)}`, 'error');
+    });
+}
+
+// Log how long fetching and generation took, to compare sync speed over time
+function logSyncTiming(timing, label = '') {
+    if (!timing) return;
+    
+    const seconds = ms => (ms / 1000).toFixed(1);
+    const prefix = label ? `"${label}": ` : '';
+    addSyncLogEntry(`${prefix}${timing.batches} batches, fetch ${seconds(timing.fetchMs)}s, generation ${seconds(timing.generateMs)}s, total ${seconds(timing.totalMs)}s (${timing.pagesPerMinute} pages/min)`);
+    
+    if (timing.throttledRequests > 0) {
+        addSyncLogEntry(`${prefix}Graph throttled ${timing.throttledRequests} requests - sync slowed down automatically`);
+    }
+}
+
+// Log pages a full sync found renamed, moved or deleted in OneNote
+function logReconciliation(reconciliation) {
+    if (!reconciliation) return;
+    
+    reconciliation.renamed.forEach(page => {
+        addSyncLogEntry(`Renamed "${page.from}" to "${page.to}"`);
+    });
+    reconciliation.moved.forEach(page => {
+        addSyncLogEntry(`Moved "${page.pageTitle}" to another section`);
+    });
+    reconciliation.restored.forEach(page => {
+        addSyncLogEntry(`Restored "${page.pageTitle}" - page is back in OneNote`);
+    });
+    reconciliation.archived.forEach(page => {
+        addSyncLogEntry(`Archived "${page.pageTitle}" - page was deleted in OneNote`, 'error');
+    });
+}
+
 // Toggle sync log visibility
 function toggleSyncLog() {
     const syncLog = document.getElementById('sync-log');
@@ -3017,22 +4696,17 @@ function loadLastSelection() {
             notebookSelect.value = notebookId;
             currentNotebookId = notebookId;
             
+            const syncNotebookButton = document.getElementById('sync-notebook-button');
+            if (syncNotebookButton) syncNotebookButton.disabled = false;
+            const watchNotebookButton = document.getElementById('watch-notebook-button');
+            if (watchNotebookButton) watchNotebookButton.disabled = false;
+            
             // Load sections for this notebook
             loadSections(notebookId).then(() => {
                 if (!sectionId) return;
                 
-                // Set section select value
-                const sectionSelect = document.getElementById('section-select');
-                if (sectionSelect) {
-                    sectionSelect.value = sectionId;
-                    currentSectionId = sectionId;
-                    
-                    // Enable sync buttons
-                    const syncButton = document.getElementById('sync-button');
-                    const fullSyncButton = document.getElementById('full-sync-button');
-                    if (syncButton) syncButton.disabled = false;
-                    if (fullSyncButton) fullSyncButton.disabled = false;
-                }
+                // Select the saved section in the dropdown and tree
+                selectSection(sectionId);
             });
         }
     } catch (error) {
@@ -3169,25 +4843,37 @@ function cancelBatchEdits() {
 }
 
 // Card editor functions
-function openCardEditor(pageId, cardIndex) {
-    if (!allFlashcards[pageId] || !allFlashcards[pageId].cards[cardIndex]) return;
+function openCardEditor(pageId, cardId) {
+    const cardIndex = findCardIndex(pageId, cardId);
+    if (cardIndex === -1) return;
     
     const card = allFlashcards[pageId].cards[cardIndex];
+    editingCard = { pageId, cardId };
     
     // Populate editor fields
     const questionField = document.getElementById('edit-question');
     const answerField = document.getElementById('edit-answer');
+    const clozeField = document.getElementById('edit-cloze');
     const tagsField = document.getElementById('edit-tags');
     
     if (questionField) questionField.value = card.question;
     if (answerField) answerField.value = card.answer;
+    if (clozeField) clozeField.value = card.cloze || '';
     if (tagsField) tagsField.value = card.tags ? card.tags.join(', ') : '';
     
+    // Cloze cards are edited through their shared text
+    const isCloze = card.type === 'cloze';
+    toggleElement('edit-question-group', !isCloze);
+    toggleElement('edit-answer-group', !isCloze);
+    toggleElement('edit-cloze-group', isCloze);
+    
     // Switch to editor view
     showView('editor');
 }
 
 function closeCardEditor() {
+    editingCard = null;
+    
     // Switch back to cards view
     showView('cards');
 }
@@ -3197,30 +4883,52 @@ function openAddCardModal() {
     // Clear previous input
     document.getElementById('new-question').value = '';
     document.getElementById('new-answer').value = '';
+    document.getElementById('new-cloze').value = '';
     document.getElementById('new-tags').value = '';
+    document.getElementById('new-card-type-basic').checked = true;
+    showNewCardType('basic');
     
     // Show the modal
     const addCardModal = new bootstrap.Modal(document.getElementById('add-card-modal'));
     addCardModal.show();
 }
 
+function toggleElement(id, visible) {
+    const element = document.getElementById(id);
+    if (element) element.style.display = visible ? '' : 'none';
+}
+
+function showNewCardType(type) {
+    toggleElement('new-question-group', type !== 'cloze');
+    toggleElement('new-answer-group', type !== 'cloze');
+    toggleElement('new-cloze-group', type === 'cloze');
+}
+
 // Function to save a new card
 function saveNewCard() {
     // Get input values
     const questionField = document.getElementById('new-question');
     const answerField = document.getElementById('new-answer');
+    const clozeField = document.getElementById('new-cloze');
     const tagsField = document.getElementById('new-tags');
     
     if (!questionField || !answerField) {
         return;
     }
     
+    const typeInput = document.querySelector('input[name="new-card-type"]:checked');
+    const isCloze = typeInput && typeInput.value === 'cloze';
     const newQuestion = questionField.value.trim();
     const newAnswer = answerField.value.trim();
+    const newCloze = clozeField ? clozeField.value.trim() : '';
     const newTags = tagsField.value ? tagsField.value.split(',').map(tag => tag.trim()).filter(tag => tag) : [];
     
     // Validate input
-    if (!newQuestion || !newAnswer) {
+    if (isCloze && getClozeNumbers(newCloze).length === 0) {
+        showNotification('Mark at least one part of the text as {{c1::...}}', true);
+        return;
+    }
+    if (!isCloze && (!newQuestion || !newAnswer)) {
         showNotification('Question and answer are required', true);
         return;
     }
@@ -3231,25 +4939,28 @@ function saveNewCard() {
         return;
     }
     
-    // Create new card object
-    const newCard = {
+    // Create new card objects - one per cloze number for cloze text. Hand-made
+    // cards are marked so regenerating the page leaves them alone
+    const newCards = isCloze ? createClozeSiblings(newCloze, { tags: newTags, origin: 'user' }) : [{
+        id: createCardId(),
         question: newQuestion,
         answer: newAnswer,
         tags: newTags,
+        origin: 'user',
         interval: 0,
         ease: EASE_FACTOR_DEFAULT,
         due: null,
         reviewCount: 0,
         suspended: false,
         created: new Date().toISOString()
-    };
+    }];
     
-    // Add card to the deck
+    // Add cards to the deck
     if (!allFlashcards[currentPageId].cards) {
         allFlashcards[currentPageId].cards = [];
     }
     
-    allFlashcards[currentPageId].cards.push(newCard);
+    allFlashcards[currentPageId].cards.push(...newCards);
     
     // Update last modified timestamp
     allFlashcards[currentPageId].lastUpdated = new Date().toISOString();
@@ -3269,12 +4980,12 @@ function saveNewCard() {
     }
     
     // Show notification
-    showNotification('New card added successfully');
+    showNotification(newCards.length > 1 ? `${newCards.length} cloze cards added` : 'New card added successfully');
     
-    // If we're in the cards view, update the card counter and show the last card
+    // If we're in the cards view, update the card counter and show the first new card
     if (currentView === 'cards') {
         // Set current card index to the new card
-        currentCardIndex = allFlashcards[currentPageId].cards.length - 1;
+        currentCardIndex = allFlashcards[currentPageId].cards.length - newCards.length;
         displayCurrentCard();
     }
 }
@@ -3294,23 +5005,36 @@ function saveCardEdits() {
     const newAnswer = answerField.value.trim();
     const newTags = tagsField.value.split(',').map(tag => tag.trim()).filter(tag => tag);
     
-    // Validate
-    if (!newQuestion || !newAnswer) {
-        showNotification('Question and answer are required', true);
-        return;
-    }
-    
-    // Update card
-    if (!currentPageId || !allFlashcards[currentPageId] || 
-        !allFlashcards[currentPageId].cards[currentCardIndex]) {
+    const cardIndex = editingCard ? findCardIndex(editingCard.pageId, editingCard.cardId) : -1;
+    if (cardIndex === -1) {
         closeCardEditor();
         return;
     }
     
-    const card = allFlashcards[currentPageId].cards[currentCardIndex];
-    card.question = newQuestion;
-    card.answer = newAnswer;
-    card.tags = newTags;
+    const { pageId } = editingCard;
+    const card = allFlashcards[pageId].cards[cardIndex];
+    
+    if (card.type === 'cloze') {
+        const clozeField = document.getElementById('edit-cloze');
+        const newCloze = clozeField ? clozeField.value.trim() : '';
+        if (getClozeNumbers(newCloze).length === 0) {
+            showNotification('Mark at least one part of the text as {{c1::...}}', true);
+            return;
+        }
+        updateClozeSiblings(pageId, card, newCloze, newTags);
+    } else {
+        // Validate
+        if (!newQuestion || !newAnswer) {
+            showNotification('Question and answer are required', true);
+            return;
+        }
+        
+        card.question = newQuestion;
+        card.answer = newAnswer;
+        card.tags = newTags;
+        // Regeneration keeps edited wording instead of the model's
+        card.editedAt = new Date().toISOString();
+    }
     
     // Save changes
     saveFlashcardsToLocalStorage();
@@ -3324,6 +5048,298 @@ function saveCardEdits() {
     showNotification('Card updated successfully');
 }
 
+// Take cards out of a deck. Their ids stay on the deck until a save has
+// reached the server: a deck saved from an out-of-date copy is merged there,
+// and a card missing from it could as well be one the server added since
+function removeCards(pageId, removed) {
+    const deck = allFlashcards[pageId];
+    removed.forEach(card => {
+        deck.cards.splice(deck.cards.indexOf(card), 1);
+        if (card.id) {
+            deck.removedCardIds = (deck.removedCardIds || []).concat(card.id);
+        }
+    });
+}
+
+// Rewrite every sibling of a cloze card to new cloze text. Siblings whose
+// number is still there keep their scheduling, removed numbers lose their
+// card and new numbers get a fresh one next to the others
+function updateClozeSiblings(pageId, card, newCloze, tags) {
+    const cards = allFlashcards[pageId].cards;
+    const oldCloze = card.cloze;
+    const numbers = getClozeNumbers(newCloze);
+    const siblings = cards.filter(other => other.type === 'cloze' && other.cloze === oldCloze);
+    const existingNumbers = siblings.map(sibling => sibling.clozeNumber);
+    
+    siblings.forEach(sibling => {
+        if (!numbers.includes(sibling.clozeNumber)) {
+            removeCards(pageId, [sibling]);
+            return;
+        }
+        sibling.cloze = newCloze;
+        sibling.question = renderClozeText(newCloze, sibling.clozeNumber, 'question');
+        sibling.answer = renderClozeText(newCloze, sibling.clozeNumber, 'answer');
+        sibling.tags = tags;
+        sibling.editedAt = new Date().toISOString();
+    });
+    
+    const added = createClozeSiblings(newCloze, { tags, source: card.source, origin: 'user' })
+        .filter(sibling => !existingNumbers.includes(sibling.clozeNumber));
+    const remaining = cards.filter(other => other.type === 'cloze' && other.cloze === newCloze);
+    const insertAt = remaining.length > 0 ? cards.indexOf(remaining[remaining.length - 1]) + 1 : cards.length;
+    cards.splice(insertAt, 0, ...added);
+    
+    // Stay on the edited card, or its first sibling if its number went away
+    const current = cards.includes(card) ? card : cards.find(other => other.cloze === newCloze);
+    currentCardIndex = Math.max(0, cards.indexOf(current));
+}
+
+// ------ AI cards: generate more, regenerate, rewrite ------
+
+const AI_CARDS_TITLES = {
+    more: 'Generate More Cards',
+    regenerate: 'Regenerate Card',
+    rewrite: 'Rewrite Card'
+};
+
+function openAiCardsModal(mode) {
+    const pageData = allFlashcards[currentPageId];
+    if (!pageData) {
+        showNotification('No active deck selected', true);
+        return;
+    }
+    
+    const card = pageData.cards[currentCardIndex];
+    if (mode !== 'more' && !card) {
+        showNotification('No card to change', true);
+        return;
+    }
+    
+    aiCardsRequest = { mode, pageId: currentPageId, cardId: mode === 'more' ? null : card.id, proposals: [] };
+    
+    document.getElementById('ai-cards-title').textContent = AI_CARDS_TITLES[mode];
+    toggleElement('ai-cards-count-group', mode === 'more');
+    toggleElement('ai-cards-instruction-group', mode === 'rewrite');
+    toggleElement('ai-cards-current', mode !== 'more');
+    if (mode !== 'more') {
+        document.getElementById('ai-cards-current-card').innerHTML = describeAiCard(card);
+    }
+    document.getElementById('ai-cards-instruction').value = '';
+    document.getElementById('ai-cards-status').textContent = '';
+    document.getElementById('ai-cards-proposals').innerHTML = '';
+    toggleElement('ai-cards-review', false);
+    document.getElementById('ai-cards-run').textContent = 'Generate';
+    document.getElementById('ai-cards-apply').disabled = true;
+    document.getElementById('ai-cards-apply').textContent = mode === 'more' ? 'Add Selected' : 'Replace Card';
+    
+    const modal = new bootstrap.Modal(document.getElementById('ai-cards-modal'));
+    modal.show();
+    
+    // Nothing to ask for a plain regeneration
+    if (mode === 'regenerate') {
+        runAiCardsRequest();
+    }
+}
+
+function describeAiCard(card) {
+    if (card.type === 'cloze') {
+        return renderCardFace(card, 'answer');
+    }
+    return `<div class="fw-semibold">${escapeHtml(card.question)}</div><div>${escapeHtml(card.answer)}</div>`;
+}
+
+async function runAiCardsRequest() {
+    if (!aiCardsRequest) return;
+    
+    const { mode, pageId, cardId } = aiCardsRequest;
+    const statusEl = document.getElementById('ai-cards-status');
+    const runButton = document.getElementById('ai-cards-run');
+    const applyButton = document.getElementById('ai-cards-apply');
+    
+    let url;
+    let body = {};
+    if (mode === 'more') {
+        url = `/api/flashcards/page/${encodeURIComponent(pageId)}/generate-more`;
+        body = { count: parseInt(document.getElementById('ai-cards-count').value, 10) || 5 };
+    } else {
+        url = `/api/flashcards/page/${encodeURIComponent(pageId)}/cards/${encodeURIComponent(cardId)}/${mode}`;
+        if (mode === 'rewrite') {
+            body = { instruction: document.getElementById('ai-cards-instruction').value.trim() };
+            if (!body.instruction) {
+                showNotification('Say how the card should change', true);
+                return;
+            }
+        }
+    }
+    
+    try {
+        runButton.disabled = true;
+        applyButton.disabled = true;
+        statusEl.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Asking the model…';
+        
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+        
+        // The request may have been replaced while this one ran
+        if (aiCardsRequest && aiCardsRequest.pageId === pageId && aiCardsRequest.mode === mode) {
+            aiCardsRequest.proposals = result.proposals;
+            renderAiProposals(result);
+        }
+    } catch (error) {
+        console.error('Error generating cards:', error);
+        statusEl.textContent = `Failed: ${error.message}`;
+    } finally {
+        runButton.disabled = false;
+        runButton.textContent = 'Try Again';
+    }
+}
+
+// Cloze siblings are reviewed (and kept or dropped) together
+function groupAiProposals(proposals) {
+    const groups = [];
+    proposals.forEach(card => {
+        const group = card.type === 'cloze' && groups.find(other => other[0].cloze === card.cloze);
+        if (group) {
+            group.push(card);
+        } else {
+            groups.push([card]);
+        }
+    });
+    return groups;
+}
+
+function renderAiProposals(result) {
+    const statusEl = document.getElementById('ai-cards-status');
+    const list = document.getElementById('ai-cards-proposals');
+    const groups = groupAiProposals(aiCardsRequest.proposals);
+    const isReplace = aiCardsRequest.mode !== 'more';
+    
+    list.innerHTML = '';
+    groups.forEach((group, index) => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex gap-2';
+        item.innerHTML = `
+            <input class="form-check-input flex-shrink-0 ai-proposal-check" type="${isReplace ? 'radio' : 'checkbox'}" name="ai-proposal" value="${index}" checked>
+            <div>${describeAiCard(group[0])}${group.length > 1 ? `<div class="text-muted">${group.length} cloze cards</div>` : ''}</div>
+        `;
+        list.appendChild(item);
+    });
+    
+    const problems = result.parseErrors && result.parseErrors.length > 0 ? ` (${result.parseErrors.length} invalid dropped)` : '';
+    statusEl.textContent = groups.length > 0
+        ? `${groups.length} proposal${groups.length === 1 ? '' : 's'}${problems} - nothing changes until you apply.`
+        : `The model had nothing new to add${problems}.`;
+    toggleElement('ai-cards-review', groups.length > 0);
+    document.getElementById('ai-cards-apply').disabled = groups.length === 0;
+}
+
+function applyAiProposals() {
+    if (!aiCardsRequest || !allFlashcards[aiCardsRequest.pageId]) return;
+    
+    const { mode, pageId, cardId } = aiCardsRequest;
+    const groups = groupAiProposals(aiCardsRequest.proposals);
+    const selected = [...document.querySelectorAll('.ai-proposal-check:checked')]
+        .map(input => groups[parseInt(input.value, 10)]);
+    if (selected.length === 0) {
+        showNotification('Nothing selected', true);
+        return;
+    }
+    
+    if (mode === 'more') {
+        const cards = allFlashcards[pageId].cards;
+        const added = selected.flat().map(card => ({ ...newCardStudyFields(), ...card, tags: card.tags || [] }));
+        cards.push(...added);
+        if (pageId === currentPageId) {
+            currentCardIndex = cards.length - added.length;
+        }
+        showNotification(`${selected.length} card${selected.length === 1 ? '' : 's'} added`);
+    } else {
+        const cardIndex = findCardIndex(pageId, cardId);
+        if (cardIndex === -1) {
+            showNotification('The card no longer exists', true);
+            return;
+        }
+        replaceCardWithProposal(pageId, allFlashcards[pageId].cards[cardIndex], selected[0]);
+        showNotification('Card replaced');
+    }
+    
+    allFlashcards[pageId].lastUpdated = new Date().toISOString();
+    saveFlashcardsToLocalStorage();
+    saveFlashcardsToServer();
+    
+    const modal = bootstrap.Modal.getInstance(document.getElementById('ai-cards-modal'));
+    if (modal) modal.hide();
+    aiCardsRequest = null;
+    
+    renderPagesList();
+    updateTagFilterList();
+    if (currentView === 'cards') {
+        displayCurrentCard();
+    }
+}
+
+function newCardStudyFields() {
+    return {
+        interval: 0,
+        ease: EASE_FACTOR_DEFAULT,
+        due: null,
+        reviewCount: 0,
+        suspended: false,
+        created: new Date().toISOString()
+    };
+}
+
+// Put a new version of a card in its place. The same kind of card keeps its
+// id and scheduling; a change of kind replaces it (and its cloze siblings)
+function replaceCardWithProposal(pageId, card, proposalCards) {
+    const cards = allFlashcards[pageId].cards;
+    const proposal = proposalCards[0];
+    const now = new Date().toISOString();
+    
+    if (card.type === 'cloze' && proposal.type === 'cloze') {
+        updateClozeSiblings(pageId, card, proposal.cloze, card.tags || []);
+        cards.filter(other => other.type === 'cloze' && other.cloze === proposal.cloze)
+            .forEach(sibling => { sibling.provenance = proposal.provenance; });
+        return;
+    }
+    
+    if (card.type !== 'cloze' && proposal.type !== 'cloze') {
+        card.question = proposal.question;
+        card.answer = proposal.answer;
+        card.provenance = proposal.provenance;
+        // Regeneration keeps the chosen wording like any other edit
+        card.editedAt = now;
+        return;
+    }
+    
+    const replaced = card.type === 'cloze'
+        ? cards.filter(other => other.type === 'cloze' && other.cloze === card.cloze)
+        : [card];
+    const insertAt = cards.indexOf(replaced[0]);
+    const fresh = proposalCards.map((proposalCard, index) => ({
+        ...newCardStudyFields(),
+        ...proposalCard,
+        tags: card.tags || [],
+        origin: card.origin,
+        editedAt: now,
+        // Lets the next sync recognise the card it replaced
+        ...(index === 0 && card.generated ? { generated: card.generated } : {})
+    }));
+    
+    removeCards(pageId, replaced);
+    cards.splice(insertAt, 0, ...fresh);
+    if (pageId === currentPageId) {
+        currentCardIndex = insertAt;
+    }
+}
+
 // Study session functions
 function startStudySession(includeDue, includeNew, limit, tags) {
     // Create a queue of cards to study
@@ -3336,9 +5352,9 @@ function startStudySession(includeDue, includeNew, limit, tags) {
         const today = new Date();
         
         Object.entries(allFlashcards).forEach(([pageId, page]) => {
-            if (!page.cards) return;
+            if (!page.cards || page.archived) return;
             
-            page.cards.forEach((card, index) => {
+            page.cards.forEach(card => {
                 // Check if card is due
                 if (card.due && new Date(card.due) <= today && !card.suspended) {
                     // Check tags if specified
@@ -3348,7 +5364,7 @@ function startStudySession(includeDue, includeNew, limit, tags) {
                     if (matchesTags) {
                         reviewCards.push({
                             pageId,
-                            cardIndex: index,
+                            cardId: card.id,
                             type: 'review',
                             due: new Date(card.due)
                         });
@@ -3369,9 +5385,9 @@ function startStudySession(includeDue, includeNew, limit, tags) {
     // Then, collect new cards if needed
     if (includeNew) {
         Object.entries(allFlashcards).forEach(([pageId, page]) => {
-            if (!page.cards) return;
+            if (!page.cards || page.archived) return;
             
-            page.cards.forEach((card, index) => {
+            page.cards.forEach(card => {
                 // Check if card is new (never reviewed)
                 if (!card.due && !card.suspended) {
                     // Check tags if specified
@@ -3381,8 +5397,9 @@ function startStudySession(includeDue, includeNew, limit, tags) {
                     if (matchesTags) {
                         newCards.push({
                             pageId,
-                            cardIndex: index,
-                            type: 'new'
+                            cardId: card.id,
+                            type: 'new',
+                            priority: card.priority
                         });
                     }
                 }
@@ -3398,6 +5415,9 @@ function startStudySession(includeDue, includeNew, limit, tags) {
             }
         }
         
+        // Cards tagged Important in OneNote are introduced first
+        newCards.sort((a, b) => (b.priority === 'high') - (a.priority === 'high'));
+        
         // Limit new cards based on user settings and remaining limit
         const remainingLimit = limit - limitedReviewCards.length;
         const maxNewCards = Math.min(userSettings.newCardsPerDay, remainingLimit);
@@ -3445,19 +5465,18 @@ function showStudyCard() {
     
     // Get current card info
     const currentItem = studySession.queue[studySession.currentIndex];
-    const { pageId, cardIndex, type } = currentItem;
+    const { pageId, type } = currentItem;
     
     // Get card from flashcards
-    if (!allFlashcards[pageId] || !allFlashcards[pageId].cards[cardIndex]) {
-        // Skip invalid card
+    const card = getStudyItemCard(currentItem);
+    if (!card) {
+        // Skip card that has since been removed
         studySession.currentIndex++;
         saveStudySession();
         showStudyCard();
         return;
     }
     
-    const card = allFlashcards[pageId].cards[cardIndex];
-    
     // CRITICAL: Forcefully hide answer buttons with more aggressive approach
     const answerButtons = document.getElementById('study-answer-buttons');
     if (answerButtons) {
@@ -3488,18 +5507,25 @@ function showStudyCard() {
             cardType.textContent = 'Review';
             cardType.className = 'badge bg-info';
         }
+        if (card.stale) {
+            cardType.textContent += ' · source removed';
+        }
     }
     
     // Set question and answer
-    if (questionEl) questionEl.innerHTML = card.question;
+    if (questionEl) questionEl.innerHTML = renderCardFace(card, 'question');
     if (answerEl) {
-        answerEl.innerHTML = card.answer;
+        answerEl.innerHTML = renderCardFace(card, 'answer') + renderCardExtra(card);
         answerEl.classList.add('hidden');
     }
+    resetStudyExplanation();
     
     // Show answer button
     if (showAnswerBtn) showAnswerBtn.style.display = 'block';
     
+    // Let the user reread the original notes for this card
+    updateOneNoteLink(document.getElementById('study-open-onenote'), pageId, card);
+    
     // Update study status
     updateStudyStatusDisplay();
     
@@ -3588,30 +5614,175 @@ function showStudyAnswer() {
         answerButtons.classList.remove('force-hidden');
         answerButtons.style.display = 'flex';
     }
+    
+    toggleElement('study-explain', true);
+}
+
+// ------ Study tutor: explain the revealed answer ------
+
+function resetStudyExplanation() {
+    studyExplanation = null;
+    toggleElement('study-explain', false);
+    toggleElement('study-explain-panel', false);
+    document.getElementById('study-explain-output').innerHTML = '';
+    document.getElementById('study-explain-question').value = '';
+    document.getElementById('study-explain-save').disabled = true;
+}
+
+function explainStudyCard() {
+    if (studyExplanation) return;
+    
+    const currentItem = studySession.queue[studySession.currentIndex];
+    const card = currentItem && getStudyItemCard(currentItem);
+    if (!card) return;
+    
+    studyExplanation = { pageId: currentItem.pageId, cardId: card.id, messages: [], busy: false };
+    toggleElement('study-explain-panel', true);
+    requestExplanation(null);
+}
+
+function askExplanationFollowUp() {
+    const input = document.getElementById('study-explain-question');
+    const question = input.value.trim();
+    if (!studyExplanation || studyExplanation.busy || !question) return;
+    
+    input.value = '';
+    requestExplanation(question);
+}
+
+// Streams the explanation, or the answer to a follow-up question, into the
+// panel as it arrives
+async function requestExplanation(question) {
+    const explanation = studyExplanation;
+    const history = explanation.messages.slice();
+    const asked = question ? [{ role: 'user', text: question }] : [];
+    const reply = { role: 'assistant', text: '' };
+    explanation.messages.push(...asked, reply);
+    explanation.busy = true;
+    renderStudyExplanation();
+    
+    const url = `/api/flashcards/page/${encodeURIComponent(explanation.pageId)}/cards/${encodeURIComponent(explanation.cardId)}/explain`;
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ history, question })
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+        
+        await readJsonLines(response, message => {
+            if (message.error) {
+                throw new Error(message.error);
+            }
+            if (message.text) {
+                reply.text += message.text;
+                if (studyExplanation === explanation) renderStudyExplanation();
+            }
+        });
+    } catch (error) {
+        console.error('Error explaining card:', error);
+        // Drop the failed exchange so it isn't sent back as history or saved
+        explanation.messages.splice(history.length);
+        if (studyExplanation === explanation) {
+            showNotification(`Could not explain: ${error.message}`, true);
+            if (question) document.getElementById('study-explain-question').value = question;
+        }
+    } finally {
+        explanation.busy = false;
+        if (studyExplanation === explanation) renderStudyExplanation();
+    }
+}
+
+// Calls onMessage with each object of a newline-delimited JSON response as
+// it arrives
+async function readJsonLines(response, onMessage) {
+    const handleLines = (lines) => lines.filter(line => line.trim()).forEach(line => onMessage(JSON.parse(line)));
+    
+    if (!response.body || !response.body.getReader) {
+        handleLines((await response.text()).split('\n'));
+        return;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+        const lines = buffered.split('\n');
+        buffered = done ? '' : lines.pop();
+        handleLines(lines);
+        if (done) break;
+    }
+}
+
+function renderStudyExplanation() {
+    const output = document.getElementById('study-explain-output');
+    const { messages, busy } = studyExplanation;
+    
+    output.innerHTML = messages.map(message => message.role === 'user'
+        ? `<div class="explain-question">${escapeHtml(message.text)}</div>`
+        : `<div>${message.text ? escapeHtml(message.text) : '<span class="spinner-border spinner-border-sm text-secondary"></span>'}</div>`
+    ).join('');
+    
+    document.getElementById('study-explain-ask').disabled = busy;
+    document.getElementById('study-explain-save').disabled = busy || messages.length === 0;
+}
+
+// The explanation and any follow-ups, as stored in the card's extra field
+function formatExplanation(messages) {
+    return messages
+        .map(message => message.role === 'user' ? `Q: ${message.text}` : message.text.trim())
+        .join('\n\n');
+}
+
+function saveExplanationToCard() {
+    if (!studyExplanation || studyExplanation.busy) return;
+    
+    const { pageId, cardId, messages } = studyExplanation;
+    const cardIndex = findCardIndex(pageId, cardId);
+    if (cardIndex === -1) {
+        showNotification('The card no longer exists', true);
+        return;
+    }
+    
+    const card = allFlashcards[pageId].cards[cardIndex];
+    card.extra = formatExplanation(messages);
+    saveFlashcardsToLocalStorage();
+    saveFlashcardsToServer();
+    
+    const answerEl = document.getElementById('study-answer');
+    if (answerEl) {
+        answerEl.innerHTML = renderCardFace(card, 'answer') + renderCardExtra(card);
+    }
+    showNotification('Explanation saved to the card');
 }
 
 function answerStudyCard(rating) {
     // Get current item from queue
     if (studySession.currentIndex >= studySession.queue.length) return;
     
-    const { pageId, cardIndex } = studySession.queue[studySession.currentIndex];
+    const currentItem = studySession.queue[studySession.currentIndex];
+    const { pageId } = currentItem;
     
     // Get card
-    if (!allFlashcards[pageId] || !allFlashcards[pageId].cards[cardIndex]) {
-        // Skip invalid card
+    const card = getStudyItemCard(currentItem);
+    if (!card) {
+        // Skip card that has since been removed
         studySession.currentIndex++;
         saveStudySession();
         showStudyCard();
         return;
     }
     
-    const card = allFlashcards[pageId].cards[cardIndex];
-    
     // Apply spaced repetition algorithm
     applySpacedRepetition(card, rating);
     
     // Record review
-    recordCardReview(cardIndex, pageId, rating);
+    recordCardReview(card.id, pageId, rating);
     
     // Save changes
     saveFlashcardsToLocalStorage();
@@ -3735,9 +5906,19 @@ function saveFlashcardsToLocalStorage() {
                 Object.entries(allFlashcards).forEach(([pageId, pageData]) => {
                     compressedFlashcards[pageId] = {
                         pageTitle: pageData.pageTitle,
+                        revision: pageData.revision,
+                        removedCardIds: pageData.removedCardIds,
                         cards: pageData.cards.map(card => ({
+                            id: card.id,
                             question: card.question,
                             answer: card.answer,
+                            type: card.type,
+                            cloze: card.cloze,
+                            clozeNumber: card.clozeNumber,
+                            origin: card.origin,
+                            editedAt: card.editedAt,
+                            extra: card.extra,
+                            stale: card.stale,
                             interval: card.interval,
                             ease: card.ease,
                             due: card.due,
@@ -3758,6 +5939,39 @@ function saveFlashcardsToLocalStorage() {
     }
 }
 
+// Card removals about to be saved, by deck
+function collectRemovedCardIds() {
+    const removals = {};
+    Object.entries(allFlashcards).forEach(([pageId, deck]) => {
+        if (deck.removedCardIds) removals[pageId] = deck.removedCardIds.slice();
+    });
+    return removals;
+}
+
+// Take the deck revisions for the next save and forget the removals the
+// server now has. Decks the server had changed (a background sync) were
+// merged there - reload to pick up its cards
+async function applySaveResult(result, savedRemovals = {}) {
+    Object.entries(result.revisions || {}).forEach(([pageId, revision]) => {
+        if (allFlashcards[pageId]) allFlashcards[pageId].revision = revision;
+    });
+    Object.entries(savedRemovals).forEach(([pageId, cardIds]) => {
+        const deck = allFlashcards[pageId];
+        if (!deck || !deck.removedCardIds) return;
+        deck.removedCardIds = deck.removedCardIds.filter(cardId => !cardIds.includes(cardId));
+        if (deck.removedCardIds.length === 0) delete deck.removedCardIds;
+    });
+    
+    if (result.merged && result.merged.length > 0) {
+        console.log(`Server merged ${result.merged.length} changed deck(s), reloading`);
+        await loadFlashcards();
+        if (currentView === 'cards' && allFlashcards[currentPageId]) {
+            currentCardIndex = Math.max(0, Math.min(currentCardIndex, allFlashcards[currentPageId].cards.length - 1));
+            displayCurrentCard();
+        }
+    }
+}
+
 // Save flashcards to the server
 async function saveFlashcardsToServer() {
     try {
@@ -3784,6 +5998,7 @@ async function saveFlashcardsToServer() {
         
         showLoading('Saving progress...');
         
+        const removals = collectRemovedCardIds();
         const response = await fetch('/api/flashcards/update', {
             method: 'POST',
             headers: {
@@ -3798,6 +6013,7 @@ async function saveFlashcardsToServer() {
         
         hideLoading();
         console.log('Saved study progress to server');
+        await applySaveResult(await response.json(), removals);
     } catch (error) {
         hideLoading();
         console.error('Error saving flashcards to server:', error);
@@ -3819,7 +6035,8 @@ function loadFlashcardsFromLocalStorage() {
     try {
         const savedFlashcards = localStorage.getItem('allFlashcards');
         if (savedFlashcards) {
-            return JSON.parse(savedFlashcards);
+            // Cards cached before they had ids get one here
+            return ensureCardIds(JSON.parse(savedFlashcards));
         }
     } catch (error) {
         console.error('Error loading flashcards from localStorage:', error);
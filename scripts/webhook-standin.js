@@ -0,0 +1,77 @@
+// Local stand-in for Microsoft Graph change notifications.
+//
+// Performs the subscription validation handshake against the webhook
+// endpoint, then posts a sample change notification for each stored
+// subscription (or just the one given). Run it next to the app, e.g. with
+// NOTE_SOURCE=local after creating a subscription in the UI:
+//
+//   node scripts/webhook-standin.js [--url http://localhost:3000/api/webhooks/onenote]
+//                                   [--subscription <id>] [--page <pageId>]
+//
+// Reads subscriptions from DATA_DIR (or ./db) like the app does.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function getArg(name, fallback = null) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const DB_PATH = process.env.DATA_DIR ? path.join(process.env.DATA_DIR) : path.join(__dirname, '..', 'db');
+const WEBHOOKS_FILE = path.join(DB_PATH, 'webhooks.json');
+const url = getArg('url', `http://localhost:${process.env.PORT || 3000}/api/webhooks/onenote`);
+const onlySubscription = getArg('subscription');
+const pageId = getArg('page');
+
+async function validate() {
+  const validationToken = crypto.randomBytes(8).toString('hex');
+  const response = await fetch(`${url}?validationToken=${validationToken}`, { method: 'POST' });
+  const body = await response.text();
+
+  if (response.status !== 200 || body !== validationToken) {
+    throw new Error(`Validation handshake failed: ${response.status} ${body}`);
+  }
+  console.log('Validation handshake OK');
+}
+
+function buildNotification(userId, subscription) {
+  return {
+    subscriptionId: subscription.id,
+    clientState: subscription.clientState,
+    changeType: 'updated',
+    resource: pageId ? `me/onenote/pages/${pageId}` : subscription.resource,
+    subscriptionExpirationDateTime: subscription.expirationDateTime,
+    resourceData: pageId ? { '@odata.type': '#Microsoft.Graph.onenotePage', id: pageId } : {},
+    tenantId: 'local'
+  };
+}
+
+async function main() {
+  await validate();
+
+  const webhooks = fs.existsSync(WEBHOOKS_FILE) ? JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8')) : {};
+  const notifications = [];
+  Object.entries(webhooks).forEach(([userId, entry]) => {
+    (entry.subscriptions || [])
+      .filter(subscription => !onlySubscription || subscription.id === onlySubscription)
+      .forEach(subscription => notifications.push(buildNotification(userId, subscription)));
+  });
+
+  if (notifications.length === 0) {
+    console.log(`No webhook subscriptions found in ${WEBHOOKS_FILE} - create one first`);
+    return;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ value: notifications })
+  });
+  console.log(`Posted ${notifications.length} notification(s): ${response.status}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});